@@ -18,8 +18,65 @@ class GameFlowController {
     // ===== PLAYER DATA =====
     // Store participant info and their accumulated points across all games
     this.participantCode = null;  // Their unique code from login screen
-    this.gameData = {};           // Misc game data (probably should refactor this later)
-    this.totalPoints = 0;         // Running total across all 3 games
+    this.sessionRecord = null;    // What gets saved at the end (see createSessionRecord)
+
+    // Every point gained or lost goes through the ledger so we know which game
+    // (and which action) it came from. The banner total is derived from it
+    this.scoreLedger = new ScoreLedger();
+    this.game1Scoring = getGame1ScoringRules();  // Flat 1 point per lobster unless ?game1Scoring=efficiency
+
+    // Behaviour log for the study - see ResearchEventLog
+    this.eventLog = new ResearchEventLog(this);
+
+    // ===== SEEDED RANDOMNESS =====
+    // Every game draws its randomness from here (see SeededRandom) so the
+    // same seed always gives the same boards, card layout and fish orders.
+    // Re-seeded from the participant code (or ?seed=) when a session starts
+    this.seed = createSessionSeed();
+    this.random = new SeededRandom(this.seed);
+
+    // ===== GAME FLOW =====
+    // Which screens come in which order (see GAME FLOW DEFINITIONS near the
+    // bottom). Chosen from config when each session starts
+    this.flow = createGameFlow();
+
+    // ===== RESULTS STORAGE =====
+    // Saves the session record when the pupil reaches the results screen
+    // Backend is chosen from config (IndexedDB unless told otherwise)
+    this.resultsStore = new ResultsStore(createResultsAdapter());
+    this.resultsStore.flushQueue();  // Push anything left over from a previous visit
+
+    // ===== RESUME AFTER RELOAD =====
+    // Progress is checkpointed to localStorage so a sleeping tablet or an
+    // accidental refresh doesn't throw the pupil back to the start
+    this.checkpointStore = new SessionCheckpointStore();
+    this.lastCheckpointAt = 0;       // Date.now() of the last checkpoint of any kind
+    this.lastFullCheckpointAt = 0;   // ...and of the last one with the event log (see saveCheckpointSoon)
+    this.checkpointLogSaved = false; // Small checkpoints are no use until a log has been written with them
+    this.puzzleProgress = new PuzzleProgressStore();  // Stars for the Game 1 puzzle campaign
+    this.pendingCheckpoint = null;  // Checkpoint offered on the resume screen
+    this.resumeProgress = null;     // Per-game progress handed to the game being resumed
+
+    // ===== PARTICIPANT ROSTER =====
+    // Valid codes for the study (from config or loaded on the researcher screen)
+    this.roster = new ParticipantRoster();
+    this.rosterReady = this.roster.load();  // Login waits for this too
+    this.confirmedCompletedCode = null;  // Code the pupil chose to play again with
+
+    // Checkpoints for codes that have finished since are no use to anyone
+    this.resultsStore.getAllSessions().then(sessions => {
+      const finished = sessions.filter(session => this.roster.hasCompleted(session.participantCode, [session]));
+      this.checkpointStore.prune(finished.map(session => session.participantCode));
+    }).catch(error => console.error('Could not prune session checkpoints:', error));
+
+    // ===== DEBUG MODE =====
+    // Only exists when asked for (?debug=1 or Ctrl+Alt+Shift+D) - see DebugOverlay
+    this.debugOverlay = null;
+
+    // ===== ESCAPE PATH OVERLAY =====
+    // Pupil's choice to see the lobster's escape route on tutorial/practice
+    // boards - kept here so it carries across tutorial steps
+    this.showEscapePath = false;
 
     // ===== TUTORIAL PROGRESSION =====
     // Different tutorials have different step counters to track progress
@@ -33,11 +90,18 @@ class GameFlowController {
     // We create these when starting each game, null when not active
     this.game1Board = null;  // The cairn building game
     this.game2Board = null;  // The matching game
+    this.game1PracticeBoard = null;     // Game 1 sandbox (no timer or points)
+    this.game1PuzzleBoard = null;       // Game 1 campaign puzzle being played
+    this.currentPuzzle = null;          // Index into GAME1_PUZZLES
+    this.replaySession = null;          // Session shown in the Game 1 replay viewer
+    this.returnToLastTutorialStep = false;  // Practice and puzzles send the pupil back to the last tutorial step
 
     // ===== TIMER STUFF =====
-    // Game 1 uses a 4 minute countdown timer
+    // Game lengths and timer warnings come from the settings (see GameSettings)
+    this.settings = new GameSettings();
+    this.settingsReady = this.settings.load();  // Login waits for this (see handleLoginSubmit)
     this.gameTimer = null;       // setInterval reference so we can clear it
-    this.timeRemaining = 240;    // 240 seconds = 4 mins
+    this.timeRemaining = this.settings.get('game1Time');  // 240 seconds (4 mins) by default
 
     // ===== UI STATE =====
     this.soundEnabled = true;   // Whether audio is on or off (toggled by sound button)
@@ -88,6 +152,22 @@ class GameFlowController {
     this.pointSound.volume = 0.4;  // Audible but not overpowering
   }
 
+  // ===== RESEARCH EVENT LOGGING =====
+  // Shorthand used by all three games to record pupil behaviour
+  logEvent(type, data = {}) {
+    return this.eventLog.log(type, data);
+  }
+
+  // Downloads this session's events - format is 'jsonl' or 'csv'
+  exportEventLog(format = 'jsonl') {
+    const filename = `events-${this.participantCode || 'unknown'}-${Date.now()}`;
+    if (format === 'csv') {
+      downloadTextFile(`${filename}.csv`, this.eventLog.toCSV(), 'text/csv');
+    } else {
+      downloadTextFile(`${filename}.jsonl`, this.eventLog.toJSONL(), 'application/x-ndjson');
+    }
+  }
+
   // ===== SPOTLIGHT TUTORIAL HELPER =====
   // During the layout tutorial, we use a spotlight effect to highlight specific UI elements
   // This updates the CSS custom properties to move the spotlight circle around
@@ -142,6 +222,7 @@ class GameFlowController {
   // Turns all audio on/off and updates button icon
   toggleSound() {
     this.soundEnabled = !this.soundEnabled;
+    this.logEvent('sound_toggled', { enabled: this.soundEnabled });
     const button = document.getElementById('sound-button');
 
     if (button) {
@@ -332,6 +413,7 @@ class GameFlowController {
   // Freezes the timer, stops lobster movement, shows pause modal
   togglePause() {
     this.gamePaused = !this.gamePaused;
+    this.logEvent('pause_toggled', { game: 'game1', paused: this.gamePaused, timeRemaining: this.timeRemaining });
     const button = document.getElementById('pause-button');
     const modal = document.getElementById('pause-modal');
 
@@ -360,21 +442,7 @@ class GameFlowController {
 
       // Restart the timer from wherever it was
       // Important: we DON'T reset timeRemaining here, just continue counting down
-      if (this.gameTimer) clearInterval(this.gameTimer);  // Clear any existing timer first
-      this.gameTimer = setInterval(() => {
-        this.timeRemaining--;
-        this.updateGame1TimerDisplay();
-
-        // Check if time's up
-        if (this.timeRemaining <= 0) {
-          clearInterval(this.gameTimer);
-          this.playTimerEndSoundEffect();
-          // Small delay before transitioning to next screen
-          setTimeout(() => {
-            this.setGameFlowState('GAME2_READY');
-          }, 500);
-        }
-      }, 1000);  // Tick every second
+      this.runGame1Timer();
 
       // Change button back to pause icon
       if (button) {
@@ -386,6 +454,7 @@ class GameFlowController {
         modal.classList.remove('active');
       }
     }
+    if (this.game1Board) this.game1Board.updateActionButtons();  // Undo is off while paused
     console.log(`Game ${this.gamePaused ? 'paused' : 'resumed'}`);
   }
 
@@ -395,6 +464,7 @@ class GameFlowController {
     if (!this.game3Board) return;  // Bail if game isn't running
 
     this.game3Board.isPaused = !this.game3Board.isPaused;
+    this.logEvent('pause_toggled', { game: 'game3', paused: this.game3Board.isPaused, timeRemaining: this.game3Board.timeRemaining });
     const button = document.getElementById('pause-button');
 
     if (this.game3Board.isPaused) {
@@ -416,11 +486,16 @@ class GameFlowController {
 
   // ===== MAIN STATE MACHINE =====
   // This is the heart of the app - controls which screen is showing
-  // Flow: LOGIN → RUAIRIDH_INTRO → PREGAME_TUTORIAL → GAME1_TUTORIAL →
+  // What each state renders and plays lives in FLOW_STATES; the order comes
+  // from this.flow. Standard flow:
+  //       LOGIN → RUAIRIDH_INTRO → PREGAME_TUTORIAL → GAME1_TUTORIAL →
   //       GAME1 → GAME2_READY → GAME2_TUTORIAL → GAME2 → GAME3_READY →
   //       GAME3 → RESULTS
+  // Screens move on with advanceFlow()/goBackInFlow() rather than naming states
   setGameFlowState(newState) {
     console.log(`Transitioning: ${this.currentState} → ${newState}`);
+    this.logEvent('state_changed', { from: this.currentState, to: newState });
+    this.trackGameTiming(this.currentState, newState);
     this.currentState = newState;
 
     // Clear out whatever was on screen before
@@ -431,70 +506,112 @@ class GameFlowController {
     // First, kill everything that's currently playing
     this.stopAllMusic();
 
+    const definition = FLOW_STATES[newState];
+    if (!definition) {
+      console.error(`Unknown game state: ${newState}`);
+      return;
+    }
+
     // Then start the appropriate tracks for this new state
-    if (newState === 'GAME1_TUTORIAL') {
-      // Tutorial has quiet music + ocean ambience
+    this.startMusicForState(definition.music);
+
+    this[definition.render]();
+
+    // Update sound button icon to match current sound state
+    this.updateSoundButtonIcon();
+
+    this.saveCheckpoint();
+  }
+
+  // Update sound button icon after state transitions
+  // Music settings come from FLOW_STATES:
+  // 'background' - menu and tutorial screens use generic background music
+  // 'game1Tutorial' - quiet music + ocean ambience
+  // 'game1' - actual gameplay has slightly louder music + ambience
+  // 'game2' / 'game3' - each game's own track
+  // null - LOGIN and the researcher screens stay silent (no music)
+  startMusicForState(music) {
+    if (music === 'game1Tutorial') {
       this.startGame1TutorialMusic();
       this.startGame1Ambience();
-    } else if (newState === 'GAME1') {
-      // Actual gameplay has slightly louder music + ambience
+    } else if (music === 'game1') {
       this.startGame1Music();
       this.startGame1Ambience();
-    } else if (newState === 'GAME2') {
-      // Matching game music
+    } else if (music === 'game2') {
       this.startGame2Music();
-    } else if (newState === 'GAME3') {
-      // Fishing game music
+    } else if (music === 'game3') {
       this.startGame3Music();
-    } else if (['RUAIRIDH_INTRO', 'PREGAME_TUTORIAL', 'GAME2_READY', 'GAME2_TUTORIAL', 'GAME3_READY', 'RESULTS'].includes(newState)) {
-      // Menu and tutorial screens use generic background music
+    } else if (music === 'background') {
       this.startBackgroundMusic();
     }
-    // LOGIN screen stays silent (no music)
+  }
 
-    switch (newState) {
-      case 'LOGIN':
-        this.renderLoginScreen();
-        break;
-      case 'RUAIRIDH_INTRO':
-        this.renderIntroduction_RuairidhIntro();
-        break;
-      case 'PREGAME_TUTORIAL':
-        this.renderGameIntro_LayoutStep0();
-        break;
-      case 'GAME1_TUTORIAL':
-        this.renderGame1TutorialFlow();
-        break;
-      case 'GAME1':
-        this.renderGame1_Main();
-        break;
-      case 'GAME2_READY':
-        this.renderInterval_TransitionToGame2();
-        break;
-      case 'GAME2_TUTORIAL':
-        this.renderGame2TutorialScreen();
-        break;
-      case 'GAME2':
-        this.renderGame2_Main();
-        break;
-      case 'GAME3_READY':
-        this.renderInterval_TransitionToGame3();
-        break;
-      case 'GAME3':
-        this.renderGame3_Main();
-        break;
-      case 'RESULTS':
-        this.renderResultsScreen();
-        break;
-      default:
-        console.error(`Unknown game state: ${newState}`);
+  // ===== DEBUG MODE =====
+  // Opens the dev overlay. Sessions that were touched in debug mode are
+  // flagged so they can be left out of the analysis
+  enableDebugMode() {
+    if (!this.debugOverlay) {
+      this.debugOverlay = new DebugOverlay(this);
     }
+    this.debugOverlay.open();
+    if (this.sessionRecord) this.sessionRecord.debug = true;
+  }
 
-    // Update sound button icon to match current sound state
-    this.updateSoundButtonIcon();
+  // Stops whichever game's timers/loops are running (used when jumping around in debug mode)
+  stopActiveGames() {
+    if (this.gameTimer) clearInterval(this.gameTimer);
+    if (this.game1Board) this.game1Board.stopScanning();
+    if (this.game3Board && this.game3Board.gameActive) {
+      this.game3Board.gameActive = false;
+      if (this.game3Board.animationFrameId) cancelAnimationFrame(this.game3Board.animationFrameId);
+      if (this.game3Board.timerIntervalId) clearInterval(this.game3Board.timerIntervalId);
+    }
+  }
+
+  // ===== FLOW NAVIGATION =====
+  // Next/back buttons and end-of-game hand-offs go through these so the
+  // same screens work in any flow (game 3 first, no tutorials, etc.)
+  advanceFlow() {
+    const nextState = this.flow.getNext(this.currentState);
+    if (!nextState) {
+      console.error(`No state after ${this.currentState} in flow "${this.flow.name}"`);
+      return;
+    }
+    this.setGameFlowState(nextState);
+  }
+
+  goBackInFlow() {
+    const previousState = this.flow.getPrevious(this.currentState);
+    if (previousState) this.setGameFlowState(previousState);
+  }
+
+  // Back button for screens that can return to the previous flow state -
+  // left out when there's nothing sensible to go back to
+  getFlowBackButtonHTML() {
+    if (!this.flow.getPrevious(this.currentState)) return '';
+    return '<button class="arrow-btn" onclick="gameController.goBackInFlow()">← Air ais</button>';
+  }
+
+  getEscapePathToggleHTML() {
+    const label = this.showEscapePath ? "Falaich an t-slighe" : "Seall an t-slighe";
+    return `<button class="nav-btn escape-path-toggle" id="escape-path-toggle" onclick="gameController.toggleEscapePath()" aria-pressed="${this.showEscapePath}">${label}</button>`;
+  }
+
+  // Shows/hides the lobster's escape route on whichever learning board is up
+  toggleEscapePath() {
+    this.showEscapePath = !this.showEscapePath;
+    this.logEvent('escape_path_toggled', { shown: this.showEscapePath });
+
+    const button = document.getElementById('escape-path-toggle');
+    if (button) {
+      button.textContent = this.showEscapePath ? "Falaich an t-slighe" : "Seall an t-slighe";
+      button.setAttribute('aria-pressed', String(this.showEscapePath));
+    }
+    [this.game1TutorialBoard, this.game1PracticeBoard, this.boardEditor && this.boardEditor.board].forEach(board => {
+      if (board) board.redrawEscapePath();
+    });
   }
 
-  // Update sound button icon after state transitions
   updateSoundButtonIcon() {
     const button = document.getElementById('sound-button');
     if (button) {
@@ -521,6 +638,7 @@ class GameFlowController {
             aria-describedby="code-help"
           />
           <span id="code-help" class="visually-hidden">Cuir a-steach do chòd cluicheadair gus tòiseachadh</span>
+          <p class="login-error" id="login-error" role="alert" aria-live="assertive"></p>
         </div>
         <button class="play-button" onclick="gameController.handleLoginSubmit()" aria-label="Tòisich an geama">Tòisich</button>
       </div>
@@ -534,22 +652,319 @@ class GameFlowController {
 
     const code = input.value.trim();
 
-    // Validate input: alphanumeric and basic punctuation only, max 50 chars
-    const sanitizedCode = code.replace(/[^a-zA-Z0-9\-_]/g, '');
+    // Researchers can get to the data screen with a special code instead of the URL hash
+    if (code.toUpperCase() === String(getConfigOption('researcherCode', 'RANNSACHADH')).toUpperCase()) {
+      this.setGameFlowState('RESEARCHER');
+      return;
+    }
+
+    // A settings file still on its way would otherwise land mid-session, and
+    // codes can't be checked before the roster is in. A roster that failed
+    // to load gets another go
+    if (this.roster.loadFailed) this.rosterReady = this.roster.load();
+    return Promise.all([this.settingsReady, this.rosterReady]).then(() => this.submitParticipantCode(code));
+  }
+
+  submitParticipantCode(code) {
+    // Format, checksum and roster checks - see ParticipantRoster.validate
+    const validation = this.roster.validate(code);
+    if (!validation.valid) {
+      this.showLoginError(validation.error);
+      return;
+    }
+    const participantCode = validation.code;
+
+    // Same code as an unfinished session on this device - offer to carry on
+    const checkpoint = this.checkpointStore.load(participantCode);
+    if (checkpoint) {
+      this.renderResumePrompt(checkpoint);
+      return;
+    }
+
+    // Flag codes that have already played all three games. Pressing the
+    // button again with the same code carries on anyway
+    return this.resultsStore.getAllSessions().then(sessions => {
+      if (this.roster.hasCompleted(participantCode, sessions) && this.confirmedCompletedCode !== participantCode) {
+        this.confirmedCompletedCode = participantCode;
+        this.showLoginError('Tha an còd seo air na trì geamannan a chluich mu thràth. Thoir sùil air a-rithist, no brùth "Tòisich" a-rithist airson cluich às ùr.');
+        return;
+      }
+      this.confirmedCompletedCode = null;
+      this.startNewSession(participantCode);
+    });
+  }
+
+  showLoginError(message) {
+    const error = document.getElementById('login-error');
+    if (error) {
+      error.textContent = message;
+    } else {
+      alert(message);
+    }
+  }
+
+  startNewSession(participantCode) {
+    const code = participantCode || (this.pendingCheckpoint && this.pendingCheckpoint.participantCode);
+    if (!code) return;
+
+    this.checkpointStore.clear(code);  // Starting over replaces any unfinished session
+    this.pendingCheckpoint = null;
+
+    this.participantCode = code;
+    this.scoreLedger = new ScoreLedger();  // Fresh ledger for the new session
+    this.eventLog.clear();
+    this.flow = createGameFlow(code);
+    this.seed = createSessionSeed(code);
+    this.random = new SeededRandom(this.seed);
+    this.settings.freeze();  // What's recorded below is what the pupil gets
+    this.sessionRecord = this.createSessionRecord(code);
+    this.logEvent('login', {
+      sessionId: this.sessionRecord.sessionId,
+      flow: this.flow.name,
+      condition: this.flow.condition ? this.flow.condition.id : null
+    });
+    this.advanceFlow();
+  }
+
+  // ===== RESUMING AN INTERRUPTED SESSION =====
+  // Shown instead of the intro when the code matches a saved checkpoint
+  renderResumePrompt(checkpoint) {
+    this.pendingCheckpoint = checkpoint;
+    const points = checkpoint.ledger.reduce((sum, entry) => sum + entry.delta, 0);
+
+    const html = `
+      <div class="ruairidh-intro-screen" role="main" aria-label="Lean air adhart">
+        <div class="ruairidh-container">
+          <div class="seal-icon-wrapper">
+            <img src="./svgs/game-1/seal-2.svg" alt="Ruairidh the Seal" class="seal-icon" />
+          </div>
+          <div class="speech-bubble">
+            <p>Fàilte air ais, ${escapeHTML(checkpoint.participantCode)}! Tha ${points} puingean agad mu thràth. A bheil thu airson leantainn air adhart bhon àite far an do stad thu?</p>
+          </div>
+        </div>
+        <div class="arrow-buttons">
+          <button class="arrow-btn" onclick="gameController.startNewSession()">Tòisich às ùr</button>
+          <button class="play-green-btn" onclick="gameController.resumeSession()">Lean air adhart</button>
+        </div>
+      </div>
+    `;
+    this.gameContainer.innerHTML = html;
+  }
 
-    if (sanitizedCode.length === 0) {
-      alert('Feuch gun cuir thu a-steach an còd ceart agad!');
+  resumeSession() {
+    const checkpoint = this.pendingCheckpoint;
+    if (!checkpoint) return;
+    if (!checkpoint.sessionRecord) {
+      console.error('Session checkpoint has no session record, starting over');
+      this.startNewSession(checkpoint.participantCode);
       return;
     }
+    this.pendingCheckpoint = null;
+
+    this.participantCode = checkpoint.participantCode;
+    this.scoreLedger = new ScoreLedger();
+    this.scoreLedger.restore(checkpoint.ledger);
+    this.eventLog.restore(checkpoint.events);
+    this.sessionRecord = checkpoint.sessionRecord;
+    if (this.sessionRecord.flow) {
+      const { name, states, condition } = this.sessionRecord.flow;
+      this.flow = new GameFlow(name, states, condition);
+    }
+    if (this.sessionRecord.seed !== undefined) {
+      this.seed = this.sessionRecord.seed;
+      this.random = new SeededRandom(this.seed);
+    }
+    // Carry on with the timers the session started with, not today's settings
+    this.settings.freeze(Object.assign({}, DEFAULT_GAME_SETTINGS, this.sessionRecord.settings));
+
+    // Researchers need to know the session was interrupted
+    this.sessionRecord.resumes = (this.sessionRecord.resumes || []).concat({
+      state: checkpoint.state,
+      savedAt: checkpoint.savedAt,
+      resumedAt: new Date().toISOString()
+    });
+    this.logEvent('session_resumed', { state: checkpoint.state, savedAt: checkpoint.savedAt });
+
+    // Render functions pick this up to carry on where the game left off.
+    // Finished Game 1 rounds are saved with the event log, not the progress
+    this.resumeProgress = checkpoint.progress || {};
+    if (this.resumeProgress.game1) this.resumeProgress.game1.replays = checkpoint.replays || [];
+    this.setGameFlowState(checkpoint.state);
+    this.resumeProgress = null;
+  }
+
+  // Writes everything needed to pick the session back up. Called on every
+  // state change and when the page is hidden
+  saveCheckpoint() {
+    this.writeCheckpoint(true);
+  }
+
+  // Timer ticks: the small part at most every few seconds, the event log and
+  // session record now and then (they only grow, so writing them every
+  // second got slower the longer a pupil played)
+  saveCheckpointSoon() {
+    const now = Date.now();
+    if (now - this.lastFullCheckpointAt >= CHECKPOINT_TIMING.fullEvery) {
+      this.writeCheckpoint(true);
+    } else if (now - this.lastCheckpointAt >= CHECKPOINT_TIMING.every) {
+      this.writeCheckpoint(false);
+    }
+  }
+
+  // full also writes the session record, event log and finished Game 1
+  // rounds (see SessionCheckpointStore); otherwise just state, points and progress
+  writeCheckpoint(full) {
+    if (!this.sessionRecord || ['LOGIN', 'RESULTS', 'RESEARCHER', 'BOARD_EDITOR', 'REPLAY_VIEWER'].includes(this.currentState)) return;
+    if (!this.checkpointLogSaved) full = true;  // Last log write failed - keep trying it
+
+    const checkpoint = {
+      participantCode: this.participantCode,
+      state: this.currentState,
+      savedAt: new Date().toISOString(),
+      ledger: this.scoreLedger.getEntries(),
+      progress: this.getGameProgress()
+    };
+    const log = full ? {
+      sessionRecord: this.sessionRecord,
+      events: this.eventLog.getEvents(),
+      replays: this.currentState === 'GAME1' && this.game1Board ? this.game1Board.replays : []
+    } : null;
+
+    const saved = this.checkpointStore.save(checkpoint, log);
+    this.lastCheckpointAt = Date.now();
+    if (full) {
+      this.lastFullCheckpointAt = this.lastCheckpointAt;
+      this.checkpointLogSaved = saved;
+    }
+    this.showCheckpointWarning(!saved);
+  }
 
-    if (sanitizedCode.length > 50) {
-      alert('Tha an còd ro fhada. Feuch còd nas giorra.');
+  // The device is out of storage (or it's switched off) - tell whoever is
+  // with the pupil that a reload now would lose the session
+  showCheckpointWarning(show) {
+    let warning = document.getElementById('checkpoint-warning');
+    if (!show) {
+      if (warning) warning.remove();
       return;
     }
+    if (warning) return;
+
+    console.warn('Session checkpoint could not be saved - a reload would lose this session');
+    warning = document.createElement('div');
+    warning.id = 'checkpoint-warning';
+    warning.className = 'checkpoint-warning';
+    warning.setAttribute('role', 'alert');
+    warning.textContent = "Chan urrainn dhuinn an geama a shàbhaladh air an inneal seo - na dùin an duilleag!";
+    document.body.appendChild(warning);
+  }
+
+  // In-game progress for whichever game is on screen right now
+  getGameProgress() {
+    if (this.currentState === 'GAME1') {
+      return {
+        game1: {
+          timeRemaining: this.timeRemaining,
+          undos: this.game1Board ? this.game1Board.totalUndos : 0,
+          hints: this.game1Board ? this.game1Board.totalHints : 0
+        }
+      };
+    }
+    if (this.currentState === 'GAME2' && this.game2Board) {
+      return { game2: this.game2Board.getProgress() };
+    }
+    if (this.currentState === 'GAME3' && this.game3Board) {
+      return { game3: this.game3Board.getProgress() };
+    }
+    return {};
+  }
+
+  // ===== SESSION RECORD =====
+  // One of these is saved per play-through. Per-game entries are filled in
+  // as each game starts and finishes (see trackGameTiming)
+  createSessionRecord(participantCode) {
+    const uniquePart = window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+    return {
+      sessionId: `${participantCode}-${uniquePart}`,
+      participantCode: participantCode,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      totalPoints: 0,
+      debug: Boolean(this.debugOverlay),  // Debug mode was on - leave out of analysis
+      seed: this.seed,             // Replays the same boards/cards/fish with ?seed=
+      flow: this.flow.describe(),  // { name, states, condition } - which screens this pupil saw
+      condition: this.flow.condition ? this.flow.condition.id : null,  // Counterbalancing group
+      settings: this.settings.getAll(),  // Game lengths and timer thresholds this pupil had
+      games: {}  // game1/game2/game3 -> { startedAt, endedAt, durationMs, score }
+    };
+  }
+
+  // Works out which game (if any) a flow state belongs to
+  getGameKeyForState(state) {
+    const gameStates = { GAME1: 'game1', GAME2: 'game2', GAME3: 'game3' };
+    return gameStates[state] || null;
+  }
+
+  // Game-specific numbers the researchers want alongside the score
+  // Game 1: which difficulty, how many undos/hints and the replay of every round. Game 2: how many moves it took. Game 3: how accurate the clicking was
+  collectGameStats(gameKey) {
+    if (gameKey === 'game1' && this.game1Board) {
+      return {
+        difficulty: this.game1Board.difficultyName,
+        lobsterStrategy: this.game1Board.lobsterStrategy,
+        lobsters: this.game1Board.lobsterCount,
+        undos: this.game1Board.totalUndos,
+        hints: this.game1Board.totalHints,
+        scoring: this.game1Scoring.name,
+        replays: this.game1Board.getReplays()
+      };
+    }
+    if (gameKey === 'game2' && this.game2Board) {
+      return {
+        moves: this.game2Board.moves,
+        pairsFound: this.game2Board.matched.size / 2
+      };
+    }
+    if (gameKey === 'game3' && this.game3Board) {
+      const { correctCatches, totalAttempts } = this.game3Board;
+      return {
+        correctCatches: correctCatches,
+        totalAttempts: totalAttempts,
+        accuracy: totalAttempts > 0 ? Math.round((correctCatches / totalAttempts) * 1000) / 1000 : null
+      };
+    }
+    return {};
+  }
+
+  // Called on every state change - closes off the game we're leaving and
+  // opens an entry for the game we're entering
+  trackGameTiming(previousState, newState) {
+    if (!this.sessionRecord || previousState === newState) return;
 
-    this.participantCode = sanitizedCode;
-    this.gameData = { participantCode: sanitizedCode, score: 0, gameStartTime: new Date() };
-    this.setGameFlowState('RUAIRIDH_INTRO');
+    const now = new Date();
+    const leavingGame = this.getGameKeyForState(previousState);
+    const enteringGame = this.getGameKeyForState(newState);
+
+    if (leavingGame && this.sessionRecord.games[leavingGame]) {
+      const entry = this.sessionRecord.games[leavingGame];
+      entry.endedAt = now.toISOString();
+      entry.durationMs = now - new Date(entry.startedAt);
+      entry.score = this.scoreLedger.getGameTotal(leavingGame);
+      Object.assign(entry, this.collectGameStats(leavingGame));
+    }
+
+    // An entry that never ended means we're resuming that game after a reload
+    const openEntry = enteringGame && this.sessionRecord.games[enteringGame];
+    if (enteringGame && !(openEntry && !openEntry.endedAt)) {
+      this.sessionRecord.games[enteringGame] = {
+        startedAt: now.toISOString(),
+        endedAt: null,
+        durationMs: null,
+        score: this.scoreLedger.getGameTotal(enteringGame)
+      };
+    }
   }
 
   // ----------------------------------------------------------
@@ -567,7 +982,7 @@ class GameFlowController {
           </div>
         </div>
         <div class="arrow-buttons centered">
-          <button class="arrow-btn" onclick="gameController.setGameFlowState('PREGAME_TUTORIAL')">Air adhart →</button>
+          <button class="arrow-btn" onclick="gameController.advanceFlow()">Air adhart →</button>
         </div>
       </div>
     `;
@@ -605,7 +1020,7 @@ class GameFlowController {
               </div>
             </div>
             <div class="arrow-buttons">
-              <button class="arrow-btn" onclick="gameController.setGameFlowState('RUAIRIDH_INTRO')">← Air ais</button>
+              ${this.getFlowBackButtonHTML()}
               <button class="arrow-btn" onclick="gameController.advanceLayoutTutorialStep()">Air adhart →</button>
             </div>
           </div>
@@ -768,12 +1183,12 @@ class GameFlowController {
                 <img src="./svgs/game-1/seal-2.svg" alt="Ruairidh the Seal" class="seal-icon" />
               </div>
               <div class="speech-bubble">
-                <p>A chiad gheama a chluicheas sinn se Glac an Giomach. A bheil thu deiseil?</p>
+                <p>A chiad gheama a chluicheas sinn se ${GAME_NAMES[this.flow.getGames()[0]]}. A bheil thu deiseil?</p>
               </div>
             </div>
             <div class="arrow-buttons">
               <button class="arrow-btn" onclick="gameController.renderGameIntro_LayoutStep2_5()">← Air ais</button>
-              <button class="play-green-btn" onclick="gameController.setGameFlowState('GAME1_TUTORIAL')">Cluich an Geama</button>
+              <button class="play-green-btn" onclick="gameController.advanceFlow()">Cluich an Geama</button>
             </div>
           </div>
         </div>
@@ -786,10 +1201,234 @@ class GameFlowController {
   // 3 - GAME 1 TUTORIAL (multi-step)
   // ----------------------------------------------------------
   renderGame1TutorialFlow() {
+    // Coming back from practice or the puzzles goes straight to the last step, where their buttons are
+    if (this.returnToLastTutorialStep) {
+      this.returnToLastTutorialStep = false;
+      this.renderGame1Tutorial_Step3();
+      return;
+    }
     this.game1TutorialStep = 0;
     this.renderGame1Tutorial_Step1();
   }
 
+  // ----------------------------------------------------------
+  // 3b - GAME 1 PRACTICE (sandbox, reached from the tutorial)
+  // ----------------------------------------------------------
+  // No timer and no points - the pupil can place rocks as in the game, edit
+  // the board freely, step the lobster one jump at a time and see its path
+  openGame1Practice() {
+    if (this.game1TutorialBoard) this.game1TutorialBoard.stopTutorialAnimation();
+    this.logEvent('practice_opened', {});
+    this.setGameFlowState('GAME1_PRACTICE');
+  }
+
+  closeGame1Practice() {
+    this.logEvent('practice_closed', {});
+    this.returnToLastTutorialStep = true;
+    this.setGameFlowState('GAME1_TUTORIAL');
+  }
+
+  renderGame1Practice() {
+    const html = `
+      <div class="game1-screen game1-practice-screen" role="main">
+        <div class="ruairidh-banner" role="banner">
+          <div class="ruairidh-banner-left">
+            <button class="ruairidh-sound-button" id="sound-button" onclick="gameController.toggleSound()" aria-label="Cuir dheth fuaim">🔊</button>
+          </div>
+          <div class="banner-title-container">
+            <h1 class="game1-title-fun">Glac an Giomach</h1>
+          </div>
+          <div class="ruairidh-banner-right">
+            <div class="practice-badge">Cleachdadh: gun ùine, gun phuingean</div>
+          </div>
+        </div>
+
+        <div class="game1-board" id="game1-board" role="application" aria-label="Bòrd cleachdaidh Glac an Giomach" aria-describedby="game1-keys-help"></div>
+        <span id="game1-keys-help" class="visually-hidden">Cleachd na saighdean gus gluasad air a' bhòrd, agus Enter no Space gus an t-inneal a chleachdadh.</span>
+        <div id="game1-announcer" class="visually-hidden" aria-live="polite"></div>
+        <div class="game1-footer practice-toolbar">
+          <div class="practice-tools" role="group" aria-label="Innealan">
+            <button class="nav-btn practice-tool" data-tool="play" aria-pressed="true" onclick="gameController.game1PracticeBoard.setPracticeTool('play')">Cluich</button>
+            <button class="nav-btn practice-tool" data-tool="rocks" aria-pressed="false" onclick="gameController.game1PracticeBoard.setPracticeTool('rocks')">Clachan</button>
+            <button class="nav-btn practice-tool" data-tool="lobster" aria-pressed="false" onclick="gameController.game1PracticeBoard.setPracticeTool('lobster')">Gluais an giomach</button>
+          </div>
+          <div class="practice-actions">
+            <button class="nav-btn" onclick="gameController.game1PracticeBoard.stepLobster()" aria-label="Thoir air a' ghiomach aon leum a ghabhail">Leum</button>
+            <button class="nav-btn" id="undo-button" onclick="gameController.undoGame1Move()" aria-label="Neo-dhèan an gluasad mu dheireadh (Ctrl+Z)" disabled>Neo-dhèan</button>
+            <button class="nav-btn" onclick="gameController.game1PracticeBoard.reset(); gameController.game1PracticeBoard.render();">Bòrd ùr</button>
+            <button class="nav-btn" onclick="gameController.game1PracticeBoard.clearBoard()">Glan am bòrd</button>
+            ${this.getEscapePathToggleHTML()}
+            <button class="arrow-btn" onclick="gameController.closeGame1Practice()">← Air ais</button>
+          </div>
+        </div>
+      </div>
+    `;
+    this.gameContainer.innerHTML = html;
+
+    this.game1PracticeBoard = new Game1Board(5, this, getGame1DifficultyName(), null, 'game1-practice');
+    this.game1PracticeBoard.practice = true;
+    this.game1PracticeBoard.pathOverlay = true;
+    this.game1PracticeBoard.undoLimit = Infinity;
+    this.game1PracticeBoard.hintLimit = 0;
+    this.game1PracticeBoard.render();
+    this.game1PracticeBoard.updateActionButtons();
+  }
+
+  // ----------------------------------------------------------
+  // 3c - GAME 1 PUZZLES (campaign, reached from the tutorial)
+  // ----------------------------------------------------------
+  // Handmade boards in order (GAME1_PUZZLES) with stars for catching the
+  // lobster in few rocks. Like practice there's no timer and no points
+  openGame1Campaign() {
+    if (this.game1TutorialBoard) this.game1TutorialBoard.stopTutorialAnimation();
+    this.logEvent('campaign_opened', {});
+    this.setGameFlowState('GAME1_CAMPAIGN');
+  }
+
+  closeGame1Campaign() {
+    this.logEvent('campaign_closed', {});
+    this.returnToLastTutorialStep = true;
+    this.setGameFlowState('GAME1_TUTORIAL');
+  }
+
+  getGame1CampaignBannerHTML(title, right) {
+    return `
+      <div class="ruairidh-banner" role="banner">
+        <div class="ruairidh-banner-left">
+          <button class="ruairidh-sound-button" id="sound-button" onclick="gameController.toggleSound()" aria-label="Cuir dheth fuaim">🔊</button>
+        </div>
+        <div class="banner-title-container">
+          <h1 class="game1-title-fun">${title}</h1>
+        </div>
+        <div class="ruairidh-banner-right">
+          <div class="practice-badge">${right}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  // Level select
+  renderGame1Campaign() {
+    this.game1PuzzleBoard = null;
+    this.currentPuzzle = null;
+
+    const progress = this.puzzleProgress.load(this.participantCode);
+    const totalStars = GAME1_PUZZLES.reduce((total, puzzle) => total + ((progress[puzzle.id] && progress[puzzle.id].stars) || 0), 0);
+
+    const levels = GAME1_PUZZLES.map((puzzle, index) => {
+      const stars = (progress[puzzle.id] && progress[puzzle.id].stars) || 0;
+      const unlocked = this.puzzleProgress.isUnlocked(progress, index);
+      const label = unlocked
+        ? `Tòimhseachan ${index + 1}: ${puzzle.name}, ${stars} rionnagan`
+        : `Tòimhseachan ${index + 1}: glaiste`;
+      return `
+        <li>
+          <button class="campaign-level" onclick="gameController.startGame1Puzzle(${index})" aria-label="${label}" ${unlocked ? '' : 'disabled'}>
+            <span class="campaign-level-number">${index + 1}</span>
+            <span class="campaign-level-name">${unlocked ? puzzle.name : '🔒'}</span>
+            <span class="campaign-stars" aria-hidden="true">${formatStars(stars)}</span>
+          </button>
+        </li>
+      `;
+    }).join('');
+
+    const html = `
+      <div class="game1-screen game1-campaign-screen" role="main">
+        ${this.getGame1CampaignBannerHTML('Glac an Giomach', `★ ${totalStars} / ${GAME1_PUZZLES.length * 3}`)}
+        <div class="campaign-select">
+          <h2>Tòimhseachain</h2>
+          <p>Glac an giomach leis cho beag de chlachan 's a ghabhas. Cùm ris an amas airson trì rionnagan!</p>
+          <ol class="campaign-levels">${levels}</ol>
+          <div class="arrow-buttons">
+            <button class="arrow-btn" onclick="gameController.closeGame1Campaign()">← Air ais</button>
+          </div>
+        </div>
+      </div>
+    `;
+    this.gameContainer.innerHTML = html;
+  }
+
+  startGame1Puzzle(index) {
+    const puzzle = GAME1_PUZZLES[index];
+    const progress = this.puzzleProgress.load(this.participantCode);
+    if (!puzzle || !this.puzzleProgress.isUnlocked(progress, index)) return;
+    this.currentPuzzle = index;
+
+    const html = `
+      <div class="game1-screen game1-campaign-screen" role="main">
+        ${this.getGame1CampaignBannerHTML(`${index + 1}. ${puzzle.name}`, `Amas: ${puzzle.par}`)}
+        ${puzzle.tip ? `<p class="campaign-tip">${puzzle.tip}</p>` : ''}
+        <div class="game1-board" id="game1-board" role="application" aria-label="Tòimhseachan ${index + 1}: ${puzzle.name}" aria-describedby="game1-keys-help"></div>
+        <span id="game1-keys-help" class="visually-hidden">Cleachd na saighdean gus gluasad air a' bhòrd, agus Enter no Space gus clach a chur sìos.</span>
+        <div id="game1-announcer" class="visually-hidden" aria-live="polite"></div>
+        <div class="game1-footer practice-toolbar">
+          <div class="campaign-result" id="puzzle-result" role="status" aria-live="polite"></div>
+          <div class="practice-actions">
+            <button class="nav-btn" id="undo-button" onclick="gameController.undoGame1Move()" aria-label="Neo-dhèan an gluasad mu dheireadh (Ctrl+Z)" disabled>Neo-dhèan</button>
+            <button class="nav-btn" onclick="gameController.startGame1Puzzle(${index})">Tòisich a-rithist</button>
+            <button class="arrow-btn" onclick="gameController.renderGame1Campaign()">← Na tòimhseachain</button>
+          </div>
+        </div>
+      </div>
+    `;
+    this.gameContainer.innerHTML = html;
+
+    this.game1PuzzleBoard = new Game1Board(5, this, getGame1DifficultyName(), decodeBoardLayout(puzzle.board), 'game1-puzzle');
+    this.game1PuzzleBoard.practice = true;
+    this.game1PuzzleBoard.hintLimit = 0;
+    // Par was worked out against the plain shortest-path lobster, whatever the difficulty says
+    this.game1PuzzleBoard.lobsterStrategy = 'shortest';
+    this.game1PuzzleBoard.reset();
+    this.game1PuzzleBoard.onRoundEnd = (result) => this.finishGame1Puzzle(result);
+    this.game1PuzzleBoard.render();
+    this.game1PuzzleBoard.updateActionButtons();
+
+    this.logEvent('puzzle_started', { puzzle: puzzle.id, par: puzzle.par });
+  }
+
+  finishGame1Puzzle(result) {
+    const puzzle = GAME1_PUZZLES[this.currentPuzzle];
+    const board = this.game1PuzzleBoard;
+    if (!puzzle || !board) return;
+
+    const rocks = board.blockedSet.size - board.fixedLayout.rocks.length;
+    const stars = result === 'caught' ? getPuzzleStars(rocks, puzzle.par) : 0;
+    const entry = this.puzzleProgress.recordResult(this.participantCode, puzzle.id, stars, result === 'caught' ? rocks : null);
+
+    this.logEvent('puzzle_finished', {
+      puzzle: puzzle.id,
+      result: result,
+      rocks: rocks,
+      par: puzzle.par,
+      stars: stars,
+      bestStars: entry.stars,
+      attempts: entry.attempts
+    });
+    this.showGame1PuzzleResult(result, rocks, stars);
+  }
+
+  // result is 'caught', 'escaped' or null to clear it
+  showGame1PuzzleResult(result, rocks = 0, stars = 0) {
+    const status = document.getElementById('puzzle-result');
+    if (!status) return;
+
+    if (result === 'caught') {
+      const next = this.currentPuzzle + 1;
+      const nextButton = next < GAME1_PUZZLES.length
+        ? `<button class="play-green-btn" onclick="gameController.startGame1Puzzle(${next})">An ath fhear →</button>`
+        : '';
+      status.innerHTML = `
+        <span class="campaign-stars" aria-label="${stars} rionnagan">${formatStars(stars)}</span>
+        <span>Ghlac thu e! Clachan: ${rocks} / Amas: ${GAME1_PUZZLES[this.currentPuzzle].par}</span>
+        ${nextButton}
+      `;
+    } else if (result === 'escaped') {
+      status.textContent = 'Theich an giomach! Feuch a-rithist.';
+    } else {
+      status.innerHTML = '';
+    }
+  }
+
   // Helper to clean up tutorial Step 1 before navigation
   cleanupAndNavigateToStep2() {
     // Stop the lobster animation
@@ -840,7 +1479,8 @@ class GameFlowController {
               </div>
             </div>
             <div class="arrow-buttons">
-              <button class="arrow-btn" onclick="gameController.setGameFlowState('PREGAME_TUTORIAL')">← Air ais</button>
+              ${this.getFlowBackButtonHTML()}
+              ${this.getEscapePathToggleHTML()}
               <button class="arrow-btn" onclick="gameController.cleanupAndNavigateToStep2();">Air adhart →</button>
             </div>
           </div>
@@ -854,7 +1494,8 @@ class GameFlowController {
   `;
   this.gameContainer.innerHTML = html;
 
-  this.game1TutorialBoard = new Game1Board(5, this);
+  this.game1TutorialBoard = new Game1Board(5, this, getGame1DifficultyName(), null, 'game1-tutorial');
+  this.game1TutorialBoard.pathOverlay = true;
   this.game1TutorialBoard.isAnimating = true;
   this.game1TutorialBoard.gridWidth = 7;
   this.game1TutorialBoard.gridHeight = 6;
@@ -921,6 +1562,7 @@ renderGame1Tutorial_Step2() {
             </div>
             <div class="arrow-buttons">
               <button class="arrow-btn" onclick="gameController.game1TutorialStep = 0; gameController.renderGame1Tutorial_Step1();">← Air ais</button>
+              ${this.getEscapePathToggleHTML()}
               <button class="arrow-btn" onclick="gameController.game1TutorialStep = 2; gameController.renderGame1Tutorial_Step3();">Air adhart →</button>
             </div>
           </div>
@@ -934,7 +1576,8 @@ renderGame1Tutorial_Step2() {
   `;
   this.gameContainer.innerHTML = html;
 
-  this.game1TutorialBoard = new Game1Board(5, this);
+  this.game1TutorialBoard = new Game1Board(5, this, getGame1DifficultyName(), null, 'game1-tutorial');
+  this.game1TutorialBoard.pathOverlay = true;
   this.game1TutorialBoard.isAnimating = true;
   this.game1TutorialBoard.gridWidth = 7;
   this.game1TutorialBoard.gridHeight = 6;
@@ -975,12 +1618,15 @@ renderGame1Tutorial_Step3() {
                 <img src="./svgs/game-1/seal-2.svg" alt="Ruairidh the Seal" class="seal-icon" style="width: 150px; height: 150px;" />
               </div>
               <div class="speech-bubble">
-                <p>Nuair a bhrùthas tu air an gainmheach bhuidhe, 's urrainn dhut clach a chur sìos. Cha toil leis na giomaich a dhol thairis air na clachan!<br><br>Airson a h-uile giomach a gheibh thu thèid clach a chur air an càirn.<br><br>Cuimhich tha na giomaich ann an Leòdhas gu math seòlta!<br><br>Chan eil ach còig mionaidean againn! Steall ort!</p>
+                <p>Nuair a bhrùthas tu air an gainmheach bhuidhe, 's urrainn dhut clach a chur sìos. Cha toil leis na giomaich a dhol thairis air na clachan!<br><br>Airson a h-uile giomach a gheibh thu thèid clach a chur air an càirn.<br><br>Cuimhich tha na giomaich ann an Leòdhas gu math seòlta!<br><br>${this.getGame1TimeTutorialText()} Steall ort!</p>
               </div>
             </div>
             <div class="arrow-buttons">
               <button class="arrow-btn" onclick="gameController.game1TutorialStep = 1; gameController.renderGame1Tutorial_Step2();">← Air ais</button>
-              <button class="play-green-btn" onclick="gameController.setGameFlowState('GAME1');">Cluich an Geama</button>
+              ${this.getEscapePathToggleHTML()}
+              <button class="nav-btn" onclick="gameController.openGame1Practice();">Cleachd an toiseach</button>
+              <button class="nav-btn" onclick="gameController.openGame1Campaign();">Tòimhseachain</button>
+              <button class="play-green-btn" onclick="gameController.advanceFlow();">Cluich an Geama</button>
             </div>
           </div>
         </div>
@@ -993,7 +1639,8 @@ renderGame1Tutorial_Step3() {
   `;
   this.gameContainer.innerHTML = html;
 
-  this.game1TutorialBoard = new Game1Board(5, this);
+  this.game1TutorialBoard = new Game1Board(5, this, getGame1DifficultyName(), null, 'game1-tutorial');
+  this.game1TutorialBoard.pathOverlay = true;
   this.game1TutorialBoard.isAnimating = true;
   this.game1TutorialBoard.gridWidth = 7;
   this.game1TutorialBoard.gridHeight = 6;
@@ -1036,7 +1683,7 @@ renderGame1Tutorial_Step3() {
             <div class="timer-box" role="timer" aria-live="polite">
               <img src="./svgs/all-games/clock.svg" alt="Uaireadair" class="timer-icon" />
               <div class="timer-text">ÙINE:</div>
-              <span id="timer-display" style="color: white;" aria-label="Ùine air fhàgail">5:00</span>
+              <span id="timer-display" style="color: white;" aria-label="Ùine air fhàgail">${formatTimer(this.settings.get('game1Time'))}</span>
             </div>
             <div class="points-box" role="status" aria-live="polite">
               <img src="./svgs/all-games/cairn.svg" alt="Càrn" class="cairn-icon" id="cairn-spotlight" />
@@ -1046,10 +1693,13 @@ renderGame1Tutorial_Step3() {
           </div>
         </div>
 
-        <div class="game1-board" id="game1-board" role="application" aria-label="Bòrd geama Glac an Giomach"></div>
+        <div class="game1-board" id="game1-board" role="application" aria-label="Bòrd geama Glac an Giomach" aria-describedby="game1-keys-help"></div>
+        <span id="game1-keys-help" class="visually-hidden">Cleachd na saighdean gus gluasad air a' bhòrd, agus Enter no Space gus clach a chur sìos.</span>
+        <div id="game1-announcer" class="visually-hidden" aria-live="polite"></div>
         <div class="game1-footer">
           <div id="round-status" role="status" aria-live="assertive"></div>
-          <button class="nav-btn dev-skip-btn" onclick="gameController.skipToGame2()" aria-label="[DEV] Skip to Game 2" style="background: linear-gradient(135deg, #ff4444, #cc0000); margin-right: 1rem;">[DEV] Skip to Game 2</button>
+          <button class="nav-btn" id="hint-button" onclick="gameController.useGame1Hint()" aria-label="Sanas: seall càite an cuir thu clach" disabled>Sanas</button>
+          <button class="nav-btn" id="undo-button" onclick="gameController.undoGame1Move()" aria-label="Neo-dhèan a' chlach mu dheireadh (Ctrl+Z)" disabled>Neo-dhèan</button>
           <button class="nav-btn" onclick="gameController.resetGame1Round()" aria-label="Ath-thòisich an cuairt seo">Tòisich a-rithist</button>
         </div>
       </div>
@@ -1062,7 +1712,9 @@ renderGame1Tutorial_Step3() {
             <li><strong>Smachd:</strong> Briog air na ceàrnan airson clachan a chur sìos</li>
             <li><strong>Teicheadh:</strong> Ma ruigeas an giomach an oir, teichidh e agus caillidh tu!</li>
             <li><strong>Ro-innleachd:</strong> Tòisich fada air falbh bhon ghiomach, tog càidse, is an uair sin glac e</li>
-            <li><strong>Puingean:</strong> Gach giomach a ghlacas tu = 1 phuing. Faigh uiread 's a ghabhas!</li>
+            <li><strong>Puingean:</strong> ${this.game1Scoring.name === 'efficiency'
+              ? "Gach giomach a ghlacas tu = 1 phuing, is barrachd ma chleachdas tu glè bheag de chlachan no ma ghlacas tu gu luath e. Caillidh tu puing ma theicheas e!"
+              : "Gach giomach a ghlacas tu = 1 phuing. Faigh uiread 's a ghabhas!"}</li>
           </ul>
         </div>
       </div>
@@ -1074,19 +1726,36 @@ renderGame1Tutorial_Step3() {
       </div>
     `;
     this.gameContainer.innerHTML = html;
-    this.game1Board = new Game1Board(5, this);
+    // Set before the board so its first round is timed from the right place
+    const savedProgress = this.resumeProgress && this.resumeProgress.game1;
+    this.timeRemaining = savedProgress ? savedProgress.timeRemaining : this.settings.get('game1Time');
+    this.game1Board = new Game1Board(5, this, getGame1DifficultyName(), getGame1BoardLayout(), 'game1');
     this.game1Board.render();
     this.updatePointsDisplayOnly();
-    this.startGame1Timer();
+
+    if (savedProgress) {
+      this.game1Board.totalUndos = savedProgress.undos || 0;
+      this.game1Board.totalHints = savedProgress.hints || 0;
+      // Rounds before the reload - the round now starting carries on the numbering
+      this.game1Board.replays = savedProgress.replays || [];
+      if (this.game1Board.replay) this.game1Board.replay.round = this.game1Board.replays.length + 1;
+    }
+    this.game1Board.updateActionButtons();
+
+    if (['1', 'true'].includes(String(getConfigOption('scan')))) {
+      this.game1Board.startScanning(parseInt(getConfigOption('scanInterval', 1500), 10) || 1500);
+    }
+    this.startGame1Timer(this.timeRemaining);
   }
 
 
   // ===== GAME 1 TIMER SYSTEM =====
-  // Starts a 4-minute countdown timer for the cairn building game
-  // Originally was 5 minutes but that felt too long, so we reduced it
-  // Timer shows warnings at 60s, 30s, and 10s to create urgency
-  startGame1Timer() {
-    this.timeRemaining = 240;  // 4 minutes (240 seconds)
+  // Starts the countdown for the cairn building game - game1Time in the
+  // settings, 4 minutes by default (originally was 5 minutes but that felt
+  // too long, so we reduced it). Timer shows warnings at 60s, 30s, and 10s
+  // to create urgency. timeRemaining is only passed in when resuming after a reload
+  startGame1Timer(timeRemaining = this.settings.get('game1Time')) {
+    this.timeRemaining = timeRemaining;
     this.updateGame1TimerDisplay();
 
     // Tell the help system that game has started
@@ -1095,6 +1764,11 @@ renderGame1Tutorial_Step3() {
       this.helpSystem.markAsPlayed();
     }
 
+    this.runGame1Timer();
+  }
+
+  // The countdown itself - used to start the game and to carry on after a pause
+  runGame1Timer() {
     // Clear any existing timer first (safety check)
     if (this.gameTimer) clearInterval(this.gameTimer);
 
@@ -1102,6 +1776,7 @@ renderGame1Tutorial_Step3() {
     this.gameTimer = setInterval(() => {
       this.timeRemaining--;
       this.updateGame1TimerDisplay();  // Update the visual display
+      this.saveCheckpointSoon();
 
       // Check if time's up
       if (this.timeRemaining <= 0) {
@@ -1109,30 +1784,34 @@ renderGame1Tutorial_Step3() {
         this.playTimerEndSoundEffect();  // Satisfying "ding" sound
         // Brief pause before transitioning to next screen
         setTimeout(() => {
-          this.setGameFlowState('GAME2_READY');
+          this.advanceFlow();
         }, 500);
       }
     }, 1000);  // Run every 1000ms (1 second)
   }
 
+  // Ruairidh's "we've only got N minutes" in the tutorial, to match game1Time
+  getGame1TimeTutorialText() {
+    const minutes = getGaelicMinutes(this.settings.get('game1Time'));
+    return minutes ? `Chan eil ach ${minutes} againn!` : "Chan eil mòran ùine againn!";
+  }
+
   // Updates the timer display and adds visual warnings when time is running out
   // Colour-coded warnings help players manage their time effectivly
   updateGame1TimerDisplay() {
     const display = document.getElementById('timer-display');
     if (display) {
       // Format as MM:SS (e.g., "3:45")
-      const minutes = Math.floor(this.timeRemaining / 60);
-      const seconds = this.timeRemaining % 60;
-      display.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+      display.textContent = formatTimer(this.timeRemaining);
 
       // Remove any existing warning classes first
       display.classList.remove('warning-yellow', 'warning-orange', 'warning-red', 'warning');
 
-      if (this.timeRemaining <= 10) {
+      if (this.timeRemaining <= this.settings.get('warnRed')) {
         display.classList.add('warning-red');
-      } else if (this.timeRemaining <= 30) {
+      } else if (this.timeRemaining <= this.settings.get('warnOrange')) {
         display.classList.add('warning-orange');
-      } else if (this.timeRemaining <= 60) {
+      } else if (this.timeRemaining <= this.settings.get('warnYellow')) {
         display.classList.add('warning-yellow');
       }
     }
@@ -1159,7 +1838,14 @@ renderGame1Tutorial_Step3() {
   // ----------------------------------------------------------
   // 5 - INTERVAL 1 (transition between games)
   // ----------------------------------------------------------
+  // "the first game" or "the next game" for a ready screen - counterbalanced
+  // flows don't always play the games in order
+  getGameOrderText(game) {
+    return this.flow.getGames().indexOf(game) <= 0 ? "a' chiad gheama" : 'an ath gheama';
+  }
+
   renderInterval_TransitionToGame2() {
+    const thanks = this.flow.getGames().indexOf('game2') > 0 ? 'Tapadh leibh airson mo chuideachadh! ' : '';
     const html = `
       <div class="game2-ready-screen">
         <div class="intro-screen-wrapper">
@@ -1169,11 +1855,11 @@ renderGame1Tutorial_Step3() {
                 <img src="./svgs/game-1/seal-2.svg" alt="Ruairidh the Seal" class="seal-icon" />
               </div>
               <div class="speech-bubble">
-                <p>Tapadh leibh airson mo chuideachadh! A bheil sibh deiseil airson an ath gheama?</p>
+                <p>${thanks}A bheil sibh deiseil airson ${this.getGameOrderText('game2')}?</p>
               </div>
             </div>
             <div class="arrow-buttons centered">
-              <button class="arrow-btn" onclick="gameController.setGameFlowState('GAME2_TUTORIAL')">Air adhart →</button>
+              <button class="arrow-btn" onclick="gameController.advanceFlow()">Air adhart →</button>
             </div>
           </div>
         </div>
@@ -1188,8 +1874,9 @@ renderGame1Tutorial_Step3() {
   renderGame2TutorialScreen() {
     this.game2TutorialStep = 0;
     // Generate random tweed numbers for tutorial cards
-    const tweed1 = Math.floor(Math.random() * 9) + 1;
-    const tweed2 = Math.floor(Math.random() * 9) + 1;
+    const tutorialRandom = this.random.fork('game2-tutorial');
+    const tweed1 = tutorialRandom.int(9) + 1;
+    const tweed2 = tutorialRandom.int(9) + 1;
 
     const html = `
       <div class="game2-tutorial-screen">
@@ -1223,8 +1910,8 @@ renderGame1Tutorial_Step3() {
                 </div>
               </div>
               <div class="arrow-buttons">
-                <button class="arrow-btn" onclick="gameController.setGameFlowState('GAME2_READY')">← Air ais</button>
-                <button class="play-green-btn" onclick="gameController.setGameFlowState('GAME2')">Cluich an Geama</button>
+                ${this.getFlowBackButtonHTML()}
+                <button class="play-green-btn" onclick="gameController.advanceFlow()">Cluich an Geama</button>
               </div>
             </div>
           </div>
@@ -1267,11 +1954,6 @@ renderGame1Tutorial_Step3() {
           </div>
           <div class="banner-title-container">
             <h1 class="game1-title-fun">Cho Coltrach ris an Dà Sgadan</h1>
-            <button class="nav-btn dev-skip-btn"
-                    onclick="gameController.skipToGame3()"
-                    style="background: linear-gradient(135deg, #ff4444, #cc0000); margin-left: 1rem; font-size: 0.8rem; padding: 0.4rem 0.8rem;">
-              [DEV] Skip to Game 3
-            </button>
           </div>
           <div class="ruairidh-banner-right">
             <div class="points-box" role="status" aria-live="polite">
@@ -1303,12 +1985,15 @@ renderGame1Tutorial_Step3() {
     `;
     this.gameContainer.innerHTML = html;
     this.game2Board = new CardMatchingGame(this);
-    this.game2Board.render();
+    this.game2Board.render(this.resumeProgress && this.resumeProgress.game2);
   }
 
   toggleGame2HelpModal() {
     const modal = document.getElementById('game2-help-modal');
-    if (modal) modal.classList.toggle('active');
+    if (modal) {
+      modal.classList.toggle('active');
+      this.logEvent('help_toggled', { game: 'game2', open: modal.classList.contains('active') });
+    }
   }
 
   resetGame2Board() {
@@ -1321,29 +2006,76 @@ renderGame1Tutorial_Step3() {
   // ----------------------------------------------------------
   // Shared helpers: Enhanced help system, points, game 1 round reset, results
   // ----------------------------------------------------------
-  toggleInGameHelpModal() {
+  // Created on first use - Game 1 also needs it to track catches and escapes
+  getHelpSystem() {
     if (!this.helpSystem) {
       this.helpSystem = new SmartHelpSystem(this);
     }
-    this.helpSystem.toggle();
+    return this.helpSystem;
+  }
+
+  toggleInGameHelpModal() {
+    this.getHelpSystem().toggle();
+    this.logEvent('help_toggled', { game: this.getGameKeyForState(this.currentState), open: this.helpSystem.isOpen });
   }
 
   resetGame1Round() {
     if (this.game1Board) {
+      this.logEvent('round_restarted', { lobster: this.game1Board.lobster.position.hash(), rocks: this.game1Board.blockedSet.size });
       this.game1Board.reset();
       this.game1Board.render();
     }
   }
 
-  skipToGame2() {
-    // Dev function to skip Game 1 timer and go straight to Game 2
-    if (this.gameTimer) {
-      clearInterval(this.gameTimer);
+  // The Game 1 board the pupil is playing on right now (real game or practice)
+  getActiveGame1Board() {
+    if (this.currentState === 'GAME1') return this.game1Board || null;
+    if (this.currentState === 'GAME1_PRACTICE') return this.game1PracticeBoard || null;
+    if (this.currentState === 'GAME1_CAMPAIGN') return this.game1PuzzleBoard || null;
+    if (this.currentState === 'BOARD_EDITOR') return this.boardEditor ? this.boardEditor.board : null;
+    if (this.currentState === 'REPLAY_VIEWER') return this.replayViewer ? this.replayViewer.board : null;
+    return null;
+  }
+
+  // Button and Ctrl+Z both end up here
+  undoGame1Move() {
+    const board = this.getActiveGame1Board();
+    if (!board || !board.undoLastMove()) return;
+    if (board === this.game1Board) {
+      this.writeCheckpoint(false);
+    } else if (board === this.game1PuzzleBoard) {
+      this.showGame1PuzzleResult(null);  // Taking back the escape - the puzzle is on again
+    }
+  }
+
+  useGame1Hint() {
+    if (this.currentState === 'GAME1' && this.game1Board && this.game1Board.showHint()) {
+      this.writeCheckpoint(false);
     }
-    this.setGameFlowState('GAME2_READY');
   }
 
   // ===== POINTS TRACKING =====
+  // Running total across all 3 games - always worked out from the ledger
+  get totalPoints() {
+    return this.scoreLedger.getTotal();
+  }
+
+  // The one place points change. game is 'game1'/'game2'/'game3', reason is a
+  // SCORE_REASONS key. Penalties never take the total below zero (same rule as
+  // Game 3 always had), so the ledger stores what was actually applied
+  // requestedDelta is what the rules asked for, when the caller has already cut it down
+  recordPoints(game, reason, delta, requestedDelta = delta) {
+    let appliedDelta = delta;
+    if (delta < 0) {
+      appliedDelta = -Math.min(-delta, this.totalPoints);
+    }
+
+    const entry = this.scoreLedger.record(game, reason, appliedDelta, requestedDelta);
+    this.updatePointsDisplayOnly();
+    this.writeCheckpoint(false);
+    return entry;
+  }
+
   // Updates the visual display of total points across all games
   // This just refreshes the UI, doesn't actually modify the point value
   updatePointsDisplayOnly() {
@@ -1354,18 +2086,42 @@ renderGame1Tutorial_Step3() {
   }
 
   // ===== CAIRN POINT SYSTEM =====
-  // Called whenever player places a stone on the board in Game 1
-  // Each stone = 1 point, keeps things simple and fair
+  // Called when a stone lands on the cairn (lobster caught in Game 1,
+  // pair matched in Game 2). Each stone = 1 point, keeps things simple and fair
   // Originally tried more complex scoring but this works best
-  addPointToCairn() {
-    this.totalPoints++;  // Increment running total
-    this.updatePointsDisplayOnly();  // Refresh display
+  addPointToCairn(game, reason) {
+    this.recordPoints(game, reason, 1);
     this.playPointSound();  // Satisfying click sound - important for feedback!
   }
 
-  skipToGame3() {
-    // Dev function to skip Game 2 and go straight to Game 3
-    this.setGameFlowState('GAME3_READY');
+  // Game 1's stone: points come from the scoring rules (see
+  // GAME1_SCORING_RULES), so a catch can be worth more than 1. Tutorial
+  // boards always give the plain 1 point. Bonuses stop once Game 1 reaches
+  // its cap, but the catch itself is always recorded (even at 0)
+  addGame1CatchToCairn(catchInfo) {
+    const rules = this.currentState === 'GAME1' ? this.game1Scoring : GAME1_SCORING_RULES.flat;
+    const score = getGame1CatchScore(rules, catchInfo);
+
+    let room = rules.maxPoints === null ? Infinity : Math.max(0, rules.maxPoints - this.scoreLedger.getGameTotal('game1'));
+    const awarded = {};
+    Object.keys(score).forEach(reason => {
+      awarded[reason] = Math.min(score[reason], room);
+      room -= awarded[reason];
+      if (awarded[reason] > 0 || reason === 'lobster_caught') this.recordPoints('game1', reason, awarded[reason]);
+    });
+
+    if (this.currentState === 'GAME1') {
+      this.logEvent('catch_scored', Object.assign({ scoring: rules.name }, catchInfo, awarded));
+    }
+    this.playPointSound();
+  }
+
+  // Only the efficiency rules take anything off for an escape, and only
+  // from Game 1's own points - not ones earned in a game played before it
+  recordGame1Escape() {
+    if (this.currentState !== 'GAME1' || this.game1Scoring.escapePenalty <= 0) return;
+    const penalty = Math.min(this.game1Scoring.escapePenalty, Math.max(0, this.scoreLedger.getGameTotal('game1')));
+    this.recordPoints('game1', 'lobster_escaped', -penalty, -this.game1Scoring.escapePenalty);
   }
 
   // ----------------------------------------------------------
@@ -1381,11 +2137,11 @@ renderGame1Tutorial_Step3() {
                 <img src="./svgs/game-1/seal-2.svg" alt="Ruairidh the Seal" class="seal-icon" />
               </div>
               <div class="speech-bubble">
-                <p>'S e an ath gheama:<br><strong>"Cho luath ris a' bhradan!"</strong><br><br>Anns a gheama seo tha feum agad aire a chumail air a mhulach oir bidh dealbh ann ag innse dè an t-iasg a tha mi ag iarraidh. Ma ma gheibh sibh an fhear cheart gheibh sibh puing… cum do shùil a-mach airson rudan eile a tha ri lorg bhon mhuir, 's dòcha gum faigh sibh torr puingean!<br><br>Cliog air an iasg agus gheibh sibh na puingean. Ach na cliog air an ola neo bidh na h-èisg air falbh!</p>
+                <p>'S e ${this.getGameOrderText('game3')}:<br><strong>"Cho luath ris a' bhradan!"</strong><br><br>Anns a gheama seo tha feum agad aire a chumail air a mhulach oir bidh dealbh ann ag innse dè an t-iasg a tha mi ag iarraidh. Ma ma gheibh sibh an fhear cheart gheibh sibh puing… cum do shùil a-mach airson rudan eile a tha ri lorg bhon mhuir, 's dòcha gum faigh sibh torr puingean!<br><br>Cliog air an iasg agus gheibh sibh na puingean. Ach na cliog air an ola neo bidh na h-èisg air falbh!</p>
               </div>
             </div>
             <div class="arrow-buttons centered">
-              <button class="arrow-btn" onclick="gameController.setGameFlowState('GAME3')">Air adhart →</button>
+              <button class="arrow-btn" onclick="gameController.advanceFlow()">Air adhart →</button>
             </div>
           </div>
         </div>
@@ -1412,7 +2168,7 @@ renderGame1Tutorial_Step3() {
           </div>
           <div class="ruairidh-banner-right">
             <div class="timer-box">
-              <span id="timer-display" class="timer-display" role="timer" aria-label="Ùine air fhàgail">3:00</span>
+              <span id="timer-display" class="timer-display" role="timer" aria-label="Ùine air fhàgail">${formatTimer(this.settings.get('game3Time'))}</span>
             </div>
             <div class="points-box">
               <img src="./svgs/all-games/cairn.svg" alt="Càrn" class="cairn-icon" id="cairn-spotlight" />
@@ -1445,15 +2201,7 @@ renderGame1Tutorial_Step3() {
 
     // Initialize Game 3
     this.game3Board = new Game3FishingGame(this);
-    this.game3Board.init();
-  }
-
-  skipToResults() {
-    // Dev function to skip to results
-    if (this.gameTimer) {
-      clearInterval(this.gameTimer);
-    }
-    this.setGameFlowState('RESULTS');
+    this.game3Board.init(this.resumeProgress && this.resumeProgress.game3);
   }
 
   // ----------------------------------------------------------
@@ -1468,36 +2216,120 @@ renderGame1Tutorial_Step3() {
         <p>Cluicheadair: ${this.participantCode}</p>
         <div style="font-size: 3rem; margin: 2rem 0;">🦞</div>
         <p style="font-size: 1.5rem; font-weight: bold; color: #1f4bff;">Puingean: ${this.totalPoints} Giomaich</p>
-        <p style="color: #666;">Ceud taing airson an geama seo a' chluich, tha na puingean agad air a' shàbhaladh.</p>
+        ${this.getScoreBreakdownHTML()}
+        <p style="color: #666;" id="save-status" role="status" aria-live="polite">Ceud taing airson an geama seo a' chluich! A' sàbhaladh nam puingean agad...</p>
         <button class="play-button" onclick="location.reload()">Cluich a-rithist!</button>
       </div>
     `;
     this.gameContainer.innerHTML = html;
+    this.saveSessionResults();
+    this.checkpointStore.clear(this.participantCode);  // Finished - nothing left to resume
   }
-}
 
-// ==========================================================
-// BOARD & ACTOR CLASSES FOR GAME 1 (Glac an Giomach)
-// ==========================================================
-class HexGridSquare {
-  constructor(x, y) {
-    this.x = x;
-    this.y = y;
-    this.blocked = false;
+  // ----------------------------------------------------------
+  // Researcher data screen (hidden - #researcher or the researcher code)
+  // ----------------------------------------------------------
+  renderResearcherScreen() {
+    if (this.gameTimer) clearInterval(this.gameTimer);
+    this.researcherDashboard = new ResearcherDashboard(this);
+    this.researcherDashboard.render();
   }
 
-  equals(other) {
-    return this.x === other.x && this.y === other.y;
+  // Game 1 board editor for teachers (from the researcher screen or #editor)
+  renderBoardEditor() {
+    if (this.gameTimer) clearInterval(this.gameTimer);
+    this.boardEditor = new BoardEditor(this);
+    this.boardEditor.render();
   }
 
-  // Get all 6 neighboring hexagons
-  // Hexagonal grids have offset rows - odd/even rows have different neighbor patterns
-  getNeighbors() {
-    const oddRow = this.y % 2 === 1;
+  // Plays back the Game 1 rounds of the session picked on the researcher screen
+  renderReplayViewer() {
+    if (this.gameTimer) clearInterval(this.gameTimer);
+    if (!this.replaySession) {
+      this.setGameFlowState('RESEARCHER');
+      return;
+    }
+    this.replayViewer = new Game1ReplayViewer(this, this.replaySession);
+    this.replayViewer.render();
+  }
 
-    // Direction offsets for odd vs even rows in offset hexagonal grid
-    // Each hex has 6 neighbors: left, right, upper-left, upper-right, lower-left, lower-right
-    const directions = oddRow
+  // Per-game breakdown for the results screen, built from the score ledger
+  // Games that weren't played are left out
+  getScoreBreakdownHTML() {
+    const breakdown = this.scoreLedger.getBreakdown();
+    const playedGames = Object.keys(GAME_NAMES).filter(game =>
+      breakdown[game] || (this.sessionRecord && this.sessionRecord.games[game])
+    );
+    if (playedGames.length === 0) return '';
+
+    const rows = playedGames.map(game => {
+      const gameBreakdown = breakdown[game] || { total: 0, reasons: {} };
+      const reasonItems = Object.keys(gameBreakdown.reasons).map(reason => {
+        const { count, points } = gameBreakdown.reasons[reason];
+        return `<li>${SCORE_REASONS[reason] || reason} × ${count}: ${points > 0 ? '+' : ''}${points}</li>`;
+      }).join('');
+
+      return `
+        <li class="results-breakdown-game">
+          <div class="results-breakdown-row">
+            <span>${GAME_NAMES[game]}</span>
+            <strong>${gameBreakdown.total}</strong>
+          </div>
+          ${reasonItems ? `<ul class="results-breakdown-reasons">${reasonItems}</ul>` : ''}
+        </li>
+      `;
+    }).join('');
+
+    return `<ul class="results-breakdown" aria-label="Puingean airson gach geama">${rows}</ul>`;
+  }
+
+  // Finalises the session record and hands it to the results store
+  // Only tells the pupil it's saved once the store says so
+  saveSessionResults() {
+    if (!this.sessionRecord) return Promise.resolve(null);
+
+    this.sessionRecord.completedAt = new Date().toISOString();
+    this.sessionRecord.totalPoints = this.totalPoints;
+    this.sessionRecord.scoreBreakdown = this.scoreLedger.getBreakdown();
+    this.sessionRecord.scoreLedger = this.scoreLedger.getEntries();
+    this.sessionRecord.events = this.eventLog.getEvents();
+    // Copy so later changes can't alter what was queued or saved
+    const record = JSON.parse(JSON.stringify(this.sessionRecord));
+
+    return this.resultsStore.saveSession(record).then(outcome => {
+      const status = document.getElementById('save-status');
+      if (status) {
+        status.textContent = outcome === 'saved'
+          ? "Ceud taing airson an geama seo a' chluich, tha na puingean agad air a' shàbhaladh."
+          : "Ceud taing airson an geama seo a' chluich! Thèid na puingean agad a shàbhaladh cho luath 's a bhios ceangal ann.";
+      }
+      return outcome;
+    });
+  }
+}
+
+// ==========================================================
+// BOARD & ACTOR CLASSES FOR GAME 1 (Glac an Giomach)
+// ==========================================================
+class HexGridSquare {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.blocked = false;
+  }
+
+  equals(other) {
+    return this.x === other.x && this.y === other.y;
+  }
+
+  // Get all 6 neighboring hexagons
+  // Hexagonal grids have offset rows - odd/even rows have different neighbor patterns
+  getNeighbors() {
+    const oddRow = this.y % 2 === 1;
+
+    // Direction offsets for odd vs even rows in offset hexagonal grid
+    // Each hex has 6 neighbors: left, right, upper-left, upper-right, lower-left, lower-right
+    const directions = oddRow
       ? [[-1, 0], [1, 0], [0, -1], [1, -1], [0, 1], [1, 1]]
       : [[-1, 0], [1, 0], [-1, -1], [0, -1], [-1, 1], [0, 1]];
 
@@ -1507,12 +2339,28 @@ class HexGridSquare {
   hash() {
     return `${this.x},${this.y}`;
   }
+
+  // Jumps from here to other on an open board (odd rows sit half a square
+  // to the right, so convert to cube coordinates first)
+  distanceTo(other) {
+    const toCube = square => {
+      const q = square.x - (square.y - (square.y & 1)) / 2;
+      return [q, square.y, -q - square.y];
+    };
+    const [a, b] = [toCube(this), toCube(other)];
+    return Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2]));
+  }
 }
 
 class LobsterToken {
-  constructor(startSquare) {
+  // strategy is a LOBSTER_STRATEGIES key; random is a SeededRandom for the
+  // strategies that need one
+  constructor(startSquare, strategy = 'shortest', random = null) {
     this.position = startSquare;
     this.rotation = 0;
+    this.strategy = LOBSTER_STRATEGIES[strategy] ? strategy : 'shortest';
+    this.random = random || new SeededRandom(Date.now());
+    this.status = 'free';  // 'free', 'escaping', 'caught' or 'escaped' (off the board)
   }
 
   // Find shortest path to escape using Breadth-First Search (BFS)
@@ -1589,18 +2437,134 @@ class LobsterToken {
     return this.rotation;
   }
 
+  // Whether the lobster is trapped is the same for every strategy (no escape
+  // path left) - the strategy only decides which way it jumps
   getNextStep(blockedSet, boardSquares, gridWidth, gridHeight) {
     const path = this.findShortestEscapePath(blockedSet, boardSquares, gridWidth, gridHeight);
     if (!path || path.length <= 1) {
       return { nextPos: null, escapedIfMove: false };
     }
-    const nextPos = path[1];
+    const board = { blockedSet, boardSquares, gridWidth, gridHeight };
+    const nextPos = LOBSTER_STRATEGIES[this.strategy].chooseStep(this, path, board) || path[1];
     const escapedIfMove =
       nextPos.x === 0 || nextPos.x === gridWidth - 1 || nextPos.y === 0 || nextPos.y === gridHeight - 1;
     return { nextPos, escapedIfMove };
   }
+
+  // Neighbours the lobster could actually jump to
+  getOpenNeighbors(square, board) {
+    return square.getNeighbors().filter(neighbor => {
+      const key = neighbor.hash();
+      return board.boardSquares.has(key) && !board.blockedSet.has(key);
+    });
+  }
+
+  // Steps to the nearest edge from every open square (BFS outwards from the
+  // edges). Squares that can't reach an edge aren't in the map
+  static getEscapeDistances(board) {
+    const { blockedSet, boardSquares, gridWidth, gridHeight } = board;
+    const distances = new Map();
+    const queue = [];
+
+    boardSquares.forEach((square, key) => {
+      const onEdge = square.x === 0 || square.x === gridWidth - 1 || square.y === 0 || square.y === gridHeight - 1;
+      if (onEdge && !blockedSet.has(key)) {
+        distances.set(key, 0);
+        queue.push(square);
+      }
+    });
+
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      const distance = distances.get(current.hash());
+      for (const neighbor of current.getNeighbors()) {
+        const key = neighbor.hash();
+        if (!distances.has(key) && boardSquares.has(key) && !blockedSet.has(key)) {
+          distances.set(key, distance + 1);
+          queue.push(neighbor);
+        }
+      }
+    }
+    return distances;
+  }
 }
 
+// ==========================================================
+// LOBSTER STRATEGIES
+// ==========================================================
+// How the lobster picks its next jump. Each difficulty has a default
+// (GAME1_DIFFICULTIES.lobsterStrategy); ?lobster=<name> overrides it.
+// chooseStep(lobster, shortestPath, board) returns the square to jump to
+// ==========================================================
+const LOBSTER_STRATEGIES = {
+  // The original lobster - first shortest path the BFS finds. Predictable
+  // once pupils spot that it always prefers the same direction
+  shortest: {
+    chooseStep(lobster, path) {
+      return path[1];
+    }
+  },
+
+  // Still always on a shortest path, but picks randomly between equally short ones
+  'random-ties': {
+    chooseStep(lobster, path, board) {
+      const distances = LobsterToken.getEscapeDistances(board);
+      const options = lobster.getOpenNeighbors(lobster.position, board)
+        .filter(square => distances.has(square.hash()));
+      const best = Math.min(...options.map(square => distances.get(square.hash())));
+      return lobster.random.pick(options.filter(square => distances.get(square.hash()) === best));
+    }
+  },
+
+  // Looks one rock ahead: for each jump, assume the pupil then blocks the
+  // most damaging neighbour, and pick the jump that leaves the shortest
+  // escape afterwards. Ties go to the square with the most ways forward
+  lookahead: {
+    chooseStep(lobster, path, board) {
+      const distances = LobsterToken.getEscapeDistances(board);
+      const options = lobster.getOpenNeighbors(lobster.position, board)
+        .filter(square => distances.has(square.hash()));
+      if (options.length === 0) return path[1];
+
+      const scored = options.map(square => {
+        const key = square.hash();
+        const onEdge = distances.get(key) === 0;
+        let worstCase = distances.get(key);
+
+        if (!onEdge) {
+          lobster.getOpenNeighbors(square, board).forEach(block => {
+            const blocked = new Set(board.blockedSet);
+            blocked.add(block.hash());
+            const after = LobsterToken.getEscapeDistances(Object.assign({}, board, { blockedSet: blocked })).get(key);
+            worstCase = Math.max(worstCase, after === undefined ? Infinity : after);
+          });
+        }
+
+        const routes = lobster.getOpenNeighbors(square, board)
+          .filter(next => distances.get(next.hash()) < distances.get(key)).length;
+        return { square, worstCase, routes, distance: distances.get(key) };
+      });
+
+      scored.sort((a, b) => (a.worstCase - b.worstCase) || (b.routes - a.routes) || (a.distance - b.distance));
+      const best = scored.filter(option =>
+        option.worstCase === scored[0].worstCase &&
+        option.routes === scored[0].routes &&
+        option.distance === scored[0].distance);
+      return lobster.random.pick(best).square;
+    }
+  },
+
+  // Deliberately weak for younger pupils - half the time it just hops to
+  // any open neighbour instead of heading for the edge
+  beginner: {
+    chooseStep(lobster, path, board) {
+      if (lobster.random.chance(0.5)) return path[1];
+      const options = lobster.getOpenNeighbors(lobster.position, board);
+      return options.length > 0 ? lobster.random.pick(options) : path[1];
+    }
+  }
+};
+
 // ==========================================================
 // GAME 1: CAIRN BUILDING (LOBSTER TRAPPING)
 // ==========================================================
@@ -1612,12 +2576,73 @@ class LobsterToken {
 // ==========================================================
 
 class Game1Board {
-  constructor(radius, controller) {
+  // difficulty is a GAME1_DIFFICULTIES key (defaults to the configured one).
+  // layout is a fixed board to play every round instead of random ones
+  // (see GAME 1 BOARD LAYOUTS). randomStream names the seeded stream the
+  // boards come from - only the scored game uses 'game1', so tutorial and
+  // practice boards never show a pupil the boards they'll be scored on
+  constructor(radius, controller, difficulty = getGame1DifficultyName(), layout = null, randomStream = 'game1-unscored') {
     this.controller = controller;  // Reference back to main game controller
+    this.random = controller.random.fork(randomStream);  // Seeded - same seed, same boards
+
+    // ===== DIFFICULTY =====
+    // Grid size, rock density and lobster start all come from the preset
+    this.difficultyName = difficulty;
+    this.difficulty = GAME1_DIFFICULTIES[difficulty];
+    this.lobsterStrategy = getLobsterStrategyName(difficulty);
+    this.lobsterCount = getLobsterCount(difficulty);
+    this.lobsterRandom = this.random.fork('lobster');  // Kept apart so lobster choices don't change the boards
+    this.roundSettings = null;  // Rock density and lobster start for this round (see getRoundSettings)
+    this.fixedLayout = layout;
+
+    // ===== UNDO =====
+    // Misclicks on small tiles are common on tablets, so the last few rocks
+    // can be taken back (each undo also puts the lobster back where it was)
+    this.undoLimit = Math.max(0, parseInt(getConfigOption('undoLimit', 3), 10) || 0);  // Per round, 0 turns undo off
+    this.moveHistory = [];  // getUndoSnapshot() for each rock this round
+    this.undosThisRound = 0;
+    this.totalUndos = 0;  // Whole game, for the session data
+
+    // ===== KEYBOARD / SWITCH ACCESS =====
+    this.focusKey = null;  // Tile with tabindex 0 (roving focus) - defaults to the lobster's
+    this.scanner = null;   // HexBoardScanner when single-switch scanning is on
+
+    this.view = null;  // Tiles on screen for the main board (see buildView)
+
+    // ===== HINTS =====
+    this.hintLimit = Math.max(0, parseInt(getConfigOption('hintLimit', 0), 10) || 0);  // Per round, 0 (the default) hides the button
+    this.hintCost = Math.max(0, parseInt(getConfigOption('hintCost', 0), 10) || 0);    // Points taken off per hint
+    this.hintsThisRound = 0;
+    this.totalHints = 0;
+    this.hintKey = null;  // Tile the current hint is pointing at
+
+    // ===== ESCAPE PATH OVERLAY =====
+    // Learning boards (tutorial, practice) set this; the timed game never shows the path
+    this.pathOverlay = false;
+
+    // ===== PRACTICE MODE =====
+    // Set on the sandbox board (see renderGame1Practice): no timer, no points,
+    // and the pupil can edit the board and step the lobster themselves
+    this.practice = false;
+    this.practiceTool = 'play';  // 'play', 'rocks' (add/remove) or 'lobster' (move it)
+    this.movingLobster = 0;      // Which lobster the 'lobster' tool moves - clicking a lobster picks it
+    this.onEdit = null;  // Called after every edit (the board editor re-checks the layout)
+    this.onRoundEnd = null;  // Called with 'caught' or 'escaped' when a round ends here (puzzles give stars from it)
+    this.readOnly = false;   // Replay viewer - the board is only shown, clicks and keys do nothing
+
+    // ===== REPLAYS =====
+    // Every round of the real game is recorded move by move so it can be
+    // watched again in the replay viewer (see Game1ReplayViewer)
+    this.replays = [];          // Finished rounds
+    this.replay = null;         // Round being played now
+    this.replayStartTime = 0;   // performance.now() when it started
+    this.roundStartRocks = 0;   // Rocks on the board when the round started (see getCatchInfo)
+    this.roundStartClock = 0;   // Game 1 clock when the round started
+    this.roundInfo = null;  // How the current board was generated (see generateRound)
 
     // ===== GAME STATE =====
     this.blockedSet = new Set();  // Tracks which squares have stones on them
-    this.lobster = null;           // Lobster position {x, y}
+    this.lobsters = [];            // LobsterToken per lobster - one unless lobsterCount says otherwise
     this.gameOver = false;         // Game finished (win or lose)
     this.gameLost = false;         // Did we lose?
     this.isAnimating = false;      // Used to freeze/unfreeze lobster movement (for pause)
@@ -1626,8 +2651,8 @@ class Game1Board {
     this.tutorialAnimationInterval = null;  // For tutorial mode animations
 
     // ===== GRID DIMENSIONS =====
-    this.gridWidth = 11;
-    this.gridHeight = 10;
+    this.gridWidth = layout ? layout.width : this.difficulty.gridWidth;
+    this.gridHeight = layout ? layout.height : this.difficulty.gridHeight;
 
     // ===== LOBSTER DIALOG =====
     // The lobster says different things when caught vs. when moving
@@ -1673,21 +2698,21 @@ class Game1Board {
     // ===== INITIALIZATION =====
     this.boardSquares = new Map();  // Stores the grid state
     this.initializeBoard();         // Set up empty grid
-    this.spawnLobster();            // Place lobster randomly
-    this.placeRandomRocks();        // Add some initial obstacles
+    this.generateRound();           // Lobster + rocks, checked to be winnable
   }
 
   // ===== HELPER FUNCTIONS =====
 
   // Randomly returns 3 or 4 (for varying movement message frequency)
   getRandomJumps() {
-    return Math.random() < 0.5 ? 3 : 4;
+    return this.random.chance(0.5) ? 3 : 4;
   }
 
   // Display a speech bubble above the lobster
   // Bubble persists for the specified duration then auto-clears
-  showSpeechBubble(message, duration) {
+  showSpeechBubble(message, duration, lobster = this.lobster) {
     this.activeBubble = {
+      lobster: lobster,  // Which lobster is talking (there can be more than one)
       message: message,
       startTime: Date.now(),
       duration: duration,
@@ -1727,19 +2752,145 @@ class Game1Board {
     }
   }
 
-  spawnLobster() {
+  // startMode: 'centre' (tutorials and the default), 'near-centre' (centre or
+  // one of its neighbours) or 'random' (anywhere not on the edge).
+  // Tutorials keep the plain shortest-path lobster so the demo is predictable
+  spawnLobster(startMode = 'centre', strategy = 'shortest') {
     const centerX = Math.floor(this.gridWidth / 2);
     const centerY = Math.floor(this.gridHeight / 2);
-    const startPos = new HexGridSquare(centerX, centerY);
-    this.lobster = new LobsterToken(startPos);
+    let startPos = new HexGridSquare(centerX, centerY);
+
+    if (startMode === 'near-centre') {
+      startPos = this.random.pick([startPos, ...startPos.getNeighbors()]);
+    } else if (startMode === 'random') {
+      startPos = new HexGridSquare(1 + this.random.int(this.gridWidth - 2), 1 + this.random.int(this.gridHeight - 2));
+    }
+
+    this.lobster = new LobsterToken(startPos, strategy, this.lobsterRandom);
+  }
+
+  // First lobster as spawnLobster places it; any others go anywhere off the
+  // edge that isn't taken by or touching another lobster
+  spawnLobsters(startMode, strategy, count) {
+    this.spawnLobster(startMode, strategy);
+
+    for (let i = 1; i < count; i++) {
+      let position = null;
+      for (let attempt = 0; attempt < 50 && !position; attempt++) {
+        const candidate = new HexGridSquare(1 + this.random.int(this.gridWidth - 2), 1 + this.random.int(this.gridHeight - 2));
+        const crowded = this.lobsters.some(lobster =>
+          lobster.position.equals(candidate) || lobster.position.getNeighbors().some(square => square.equals(candidate)));
+        if (!crowded) position = candidate;
+      }
+      if (position) this.lobsters.push(new LobsterToken(position, strategy, this.lobsterRandom));
+    }
+  }
+
+  // Last resort for generateRound: the first lobster in the centre and the
+  // others on the squares furthest from the edge, each two jumps from
+  // another lobster (never side by side) - the same places every time, and
+  // close enough together for one wall around them all (see placeFallbackRocks)
+  spawnFallbackLobsters(strategy, count) {
+    this.spawnLobster('centre', strategy);
+    const squares = Array.from(this.boardSquares.values())
+      .sort((a, b) => this.getEdgeDistance(b) - this.getEdgeDistance(a) || a.y - b.y || a.x - b.x);
+    const distances = candidate => this.lobsters.map(lobster => lobster.position.distanceTo(candidate));
+
+    for (let i = 1; i < count; i++) {
+      const position = squares.find(candidate => Math.min(...distances(candidate)) === 2) ||
+        squares.find(candidate => Math.min(...distances(candidate)) >= 2);
+      if (position) this.lobsters.push(new LobsterToken(position, strategy, this.lobsterRandom));
+    }
+  }
+
+  // Rocks for the fallback board: a wall around the lobsters two squares
+  // out, with one gap on the side furthest from the edge. A lobster needs at
+  // least three jumps to get out through the gap and one rock closes it, so
+  // the board can always be won
+  placeFallbackRocks() {
+    const near = new Set();  // The lobsters and the squares next to them
+    this.lobsters.forEach(lobster => [lobster.position].concat(lobster.position.getNeighbors())
+      .forEach(square => near.add(square.hash())));
+
+    // Everything the edge can reach without going near a lobster...
+    const outside = new Set();
+    const queue = Array.from(this.boardSquares.values())
+      .filter(square => this.getEdgeDistance(square) === 0 && !near.has(square.hash()));
+    queue.forEach(square => outside.add(square.hash()));
+    while (queue.length > 0) {
+      queue.shift().getNeighbors().forEach(neighbor => {
+        const key = neighbor.hash();
+        if (this.boardSquares.has(key) && !near.has(key) && !outside.has(key)) {
+          outside.add(key);
+          queue.push(this.boardSquares.get(key));
+        }
+      });
+    }
+
+    // ...and of that, the squares next to the lobsters' are the wall. The gap
+    // has to open onto a square that isn't wall
+    const wall = Array.from(outside).map(key => this.boardSquares.get(key))
+      .filter(square => square.getNeighbors().some(neighbor => near.has(neighbor.hash())));
+    const wallKeys = new Set(wall.map(square => square.hash()));
+    const gap = wall
+      .filter(square => square.getNeighbors().some(neighbor => outside.has(neighbor.hash()) && !wallKeys.has(neighbor.hash())))
+      .sort((a, b) => this.getEdgeDistance(b) - this.getEdgeDistance(a) || a.y - b.y || a.x - b.x)[0];
+    wall.forEach(square => {
+      if (square !== gap) this.blockedSet.add(square.hash());
+    });
+  }
+
+  getEdgeDistance(square) {
+    return Math.min(square.x, square.y, this.gridWidth - 1 - square.x, this.gridHeight - 1 - square.y);
+  }
+
+  // ===== LOBSTERS =====
+  // Tutorials only ever have one lobster, so this.lobster stays as a
+  // shortcut to the first. Practice and editor boards can have several
+  get lobster() {
+    return this.lobsters[0] || null;
+  }
+
+  set lobster(token) {
+    this.lobsters = token ? [token] : [];
+  }
+
+  // Lobsters still on the board (escaped ones have left it)
+  getActiveLobsters() {
+    return this.lobsters.filter(lobster => lobster.status !== 'escaped');
+  }
+
+  // Lobsters that still move when a rock goes down
+  getFreeLobsters() {
+    return this.lobsters.filter(lobster => lobster.status === 'free');
   }
 
-  // Place random rock obstacles on the board (15% coverage)
-  // Ensures no rocks are placed on the lobster's position or the centre position
+  isLobsterAt(key) {
+    return this.getActiveLobsters().some(lobster => lobster.position.hash() === key);
+  }
+
+  // Rocks plus the squares the other lobsters are sitting on
+  getBlockedFor(lobster, lobsters = this.getActiveLobsters()) {
+    const blocked = new Set(this.blockedSet);
+    lobsters.forEach(other => {
+      if (other !== lobster) blocked.add(other.position.hash());
+    });
+    return blocked;
+  }
+
+  // Place random rock obstacles on the board (coverage set by the difficulty)
+  // Ensures no rocks are placed on a lobster's position or the centre position,
+  // or next to the lobsters when the difficulty says so
   placeRandomRocks() {
     const squareArray = Array.from(this.boardSquares.values());
-    const rockCount = Math.floor(squareArray.length * 0.15);
-    const lobsterPosHash = this.lobster.position.hash(); // Cache for performance
+    const rockCount = Math.floor(squareArray.length * this.roundSettings.rockDensity);
+    const protectedSet = new Set();
+    this.lobsters.forEach(lobster => {
+      protectedSet.add(lobster.position.hash());
+      if (!this.difficulty.rocksNextToStart) {
+        lobster.position.getNeighbors().forEach(square => protectedSet.add(square.hash()));
+      }
+    });
 
     // Explicitly calculate centre position to avoid placing rocks there (critical for tutorials)
     const centerX = Math.floor(this.gridWidth / 2);
@@ -1750,16 +2901,197 @@ class Game1Board {
       let square;
       let squareHash;
 
-      // Select random squares until we find one that's not the lobster's position OR the centre
+      // Select random squares until we find one that's not a lobster's position OR the centre
       do {
-        square = squareArray[Math.floor(Math.random() * squareArray.length)];
+        square = this.random.pick(squareArray);
         squareHash = square.hash();
-      } while (squareHash === lobsterPosHash || squareHash === centerPosHash);
+      } while (squareHash === centerPosHash || protectedSet.has(squareHash));
 
       this.blockedSet.add(squareHash);
     }
   }
 
+  // ===== ROUND GENERATION =====
+  // Random boards can come out unplayable - the lobster already boxed in
+  // (a free point), a rock-lined corridor straight to the edge, or just too
+  // open to ever trap. A board is only used when
+  //   - the lobsters' BFS finds an escape route at least minEscapeSteps
+  //     long, so the pupil gets that many rocks down first, and
+  //   - findLayoutSolution finds a way to catch every lobster
+  // The solver is slow, so only a few boards a round get that far (see
+  // GAME1_BOARD_CHECKS), each with a few more rocks than the one before.
+  // If none of them can be won, the round uses the fallback ring board
+  generateRound() {
+    if (this.fixedLayout) {
+      this.loadLayout();
+      return;
+    }
+
+    const maxAttempts = 50;
+    const settings = this.getRoundSettings();
+    this.roundSettings = settings;
+    let attempts = 0;
+    let solverChecks = 0;
+
+    while (attempts < maxAttempts && solverChecks < GAME1_BOARD_CHECKS.maxSolverChecks) {
+      attempts++;
+      this.blockedSet.clear();
+      this.spawnLobsters(this.roundSettings.lobsterStart, this.lobsterStrategy, this.lobsterCount);
+      this.placeRandomRocks();
+
+      const escapeSteps = this.getEscapeSteps();
+      if (escapeSteps === null || escapeSteps < this.difficulty.minEscapeSteps) continue;
+
+      solverChecks++;
+      const solution = findLayoutSolution(this.getBoardLayout(), this.lobsterStrategy);
+      if (solution) {
+        this.recordRound(attempts, escapeSteps, solution.length);
+        return;
+      }
+      const rockDensity = Math.min(GAME1_BOARD_CHECKS.maxRockDensity, settings.rockDensity + solverChecks * GAME1_BOARD_CHECKS.densityStep);
+      this.roundSettings = Object.assign({}, settings, { rockDensity });
+    }
+
+    console.warn(`No winnable ${this.difficultyName} board after ${attempts} tries (${solverChecks} solved for), using the fallback board`);
+    this.roundSettings = Object.assign({}, settings, { rockDensity: null, lobsterStart: 'fallback' });
+    this.blockedSet.clear();
+    this.spawnFallbackLobsters(this.lobsterStrategy, this.lobsterCount);
+    this.placeFallbackRocks();
+    const escapeSteps = this.getEscapeSteps();
+    if (escapeSteps === null || escapeSteps < this.difficulty.minEscapeSteps) {
+      console.warn(`The fallback ${this.difficultyName} board is only ${escapeSteps} moves from the edge (wanted ${this.difficulty.minEscapeSteps})`);
+    }
+    const solution = findLayoutSolution(this.getBoardLayout(), this.lobsterStrategy);
+    if (!solution) console.warn(`No way to catch every lobster was found on the fallback ${this.difficultyName} board`);
+    this.recordRound(attempts, escapeSteps, solution ? solution.length : null);
+  }
+
+  // Fixed boards are the same every round - no random rocks, no adapting
+  loadLayout() {
+    this.roundSettings = { rockDensity: null, lobsterStart: 'layout', catchRate: null, adjusted: false };
+    this.blockedSet = new Set(this.fixedLayout.rocks.map(square => square.hash()));
+    this.lobsters = this.fixedLayout.lobsters.map(square => new LobsterToken(square, this.lobsterStrategy, this.lobsterRandom));
+    this.recordRound(1, this.getEscapeSteps(), null);
+  }
+
+  // The board as it is now, in the shareable layout form
+  getBoardLayout() {
+    return {
+      width: this.gridWidth,
+      height: this.gridHeight,
+      lobsters: this.getActiveLobsters().map(lobster => lobster.position),
+      rocks: Array.from(this.blockedSet).map(key => this.boardSquares.get(key))
+    };
+  }
+
+  // The preset's rock density and lobster start, adjusted to how the pupil's
+  // recent rounds went. Tutorial boards always use the preset as it is
+  getRoundSettings() {
+    const preset = { rockDensity: this.difficulty.rockDensity, lobsterStart: this.difficulty.lobsterStart, catchRate: null, adjusted: false };
+    if (this.controller.currentState !== 'GAME1' || !isGame1AdaptiveEnabled()) return preset;
+
+    const recentResults = this.controller.getHelpSystem().getRecentLobsterResults();
+    const settings = getAdaptiveRoundSettings(this.difficulty, recentResults);
+    if (settings.adjusted) {
+      this.controller.logEvent('difficulty_adjusted', {
+        difficulty: this.difficultyName,
+        recentResults: recentResults,
+        catchRate: settings.catchRate,
+        rockDensity: settings.rockDensity,
+        lobsterStart: settings.lobsterStart
+      });
+    }
+    return settings;
+  }
+
+  // Moves the nearest-to-escaping lobster needs to reach the edge, or null
+  // if any lobster is already trapped
+  getEscapeSteps() {
+    let fewest = null;
+    for (const lobster of this.getFreeLobsters()) {
+      const path = lobster.findShortestEscapePath(this.blockedSet, this.boardSquares, this.gridWidth, this.gridHeight);
+      if (!path) return null;
+      if (fewest === null || path.length - 1 < fewest) fewest = path.length - 1;
+    }
+    return fewest;
+  }
+
+  // solutionRocks is how many rocks the solver needed (null when it wasn't run)
+  recordRound(attempts, escapeSteps, solutionRocks) {
+    this.roundInfo = {
+      difficulty: this.difficultyName,
+      strategy: this.lobsterStrategy,
+      rockDensity: this.roundSettings.rockDensity,
+      lobsterStart: this.roundSettings.lobsterStart,
+      lobster: this.lobster.position.hash(),
+      lobsters: this.lobsters.map(lobster => lobster.position.hash()),
+      rocks: this.blockedSet.size,
+      escapeSteps: escapeSteps,
+      solutionRocks: solutionRocks,
+      attempts: attempts,
+      layout: this.fixedLayout ? encodeBoardLayout(this.fixedLayout) : null  // Board code when it's a fixed board
+    };
+    // Where the round started, for the efficiency bonuses (see getCatchInfo)
+    this.roundStartRocks = this.blockedSet.size;
+    this.roundStartClock = this.controller.timeRemaining;
+    // Tutorial boards are built the same way but aren't part of the data
+    if (this.controller.currentState === 'GAME1') {
+      this.controller.logEvent('round_started', this.roundInfo);
+      this.startReplay();
+    }
+  }
+
+  // Rocks the pupil has placed this round and seconds on the Game 1 clock
+  // since it started (the clock stops while paused)
+  getCatchInfo() {
+    return {
+      rocks: this.blockedSet.size - this.roundStartRocks,
+      seconds: Math.max(0, this.roundStartClock - this.controller.timeRemaining)
+    };
+  }
+
+  // ===== REPLAY RECORDING =====
+  // A replay is the board as the round started plus every move after it:
+  //   { t, type: 'rock', tile }                  - the pupil placed a rock
+  //   { t, type: 'lobster', lobster, from, to }  - a lobster jumped
+  //   { t, type: 'undo', rock, lobsters }        - rock taken back, lobsters back at these squares
+  //   { t, type: 'hint', tile }                  - the hint pointed here
+  //   { t, type: 'caught' | 'escaped', lobster }
+  // t is milliseconds since the round started; lobster is an index into lobsters
+  startReplay() {
+    // A round just finished. Finished rounds go into the checkpoint with the
+    // event log, at the next full write (see saveCheckpointSoon)
+    if (this.replay) this.replays.push(this.replay);
+    this.replayStartTime = performance.now();
+    this.replay = {
+      round: this.replays.length + 1,
+      startedAt: new Date().toISOString(),
+      width: this.gridWidth,
+      height: this.gridHeight,
+      difficulty: this.difficultyName,
+      strategy: this.lobsterStrategy,
+      lobsters: this.lobsters.map(lobster => lobster.position.hash()),
+      rocks: Array.from(this.blockedSet),
+      moves: [],
+      result: 'unfinished'
+    };
+  }
+
+  recordReplayMove(move) {
+    if (!this.replay) return;
+    this.replay.moves.push(Object.assign({ t: Math.round(performance.now() - this.replayStartTime) }, move));
+
+    // Round is decided once no lobster is left free
+    if ((move.type === 'caught' || move.type === 'escaped') && this.getFreeLobsters().length === 0) {
+      this.replay.result = this.lobsters.some(lobster => lobster.status !== 'caught') ? 'escaped' : 'caught';
+    }
+  }
+
+  // Every round so far, including the one being played
+  getReplays() {
+    return this.replay ? this.replays.concat(this.replay) : this.replays.slice();
+  }
+
 
 
   clickHexTile(x, y) {
@@ -1767,168 +3099,390 @@ class Game1Board {
 
     const square = new HexGridSquare(x, y);
     const key = square.hash();
-    if (key === this.lobster.position.hash()) return;
+    if (this.isLobsterAt(key)) return;
     if (this.blockedSet.has(key)) return;
 
     this.blockedSet.add(key);
+    this.hintKey = null;
+    this.moveHistory.push(this.getUndoSnapshot(key));
+    this.recordReplayMove({ type: 'rock', tile: key });
+    this.controller.logEvent('rock_placed', {
+      x: x,
+      y: y,
+      lobster: this.lobster.position.hash(),
+      lobsters: this.getActiveLobsters().map(lobster => lobster.position.hash()),
+      rocks: this.blockedSet.size
+    });
 
-    const { nextPos, escapedIfMove } = this.lobster.getNextStep(
-      this.blockedSet, this.boardSquares, this.gridWidth, this.gridHeight
-    );
+    this.moveLobsters();
+  }
 
-    if (!nextPos) {
-      this.gameOver = true;
+  // Every free lobster answers the rock in turn. A lobster with no way out
+  // past the rocks (and lobsters already caught) is captured; one that is only
+  // hemmed in by another lobster just waits. Moves are worked out one lobster
+  // at a time so two lobsters never jump onto the same square
+  moveLobsters() {
+    const moves = [];
+    const captured = [];
 
-      // Track lobster caught for smart help system
-      if (this.controller.helpSystem) {
-        this.controller.helpSystem.recordLobsterCaught();
+    this.getFreeLobsters().forEach(lobster => {
+      const walls = this.getBlockedFor(lobster, this.lobsters.filter(other => other.status === 'caught' || captured.includes(other)));
+      if (!lobster.findShortestEscapePath(walls, this.boardSquares, this.gridWidth, this.gridHeight)) {
+        captured.push(lobster);
+        return;
       }
 
-      // Show caught message using tracked bubble system
-      const message = this.caughtMessages[this.caughtMessageIndex];
-      this.caughtMessageIndex = (this.caughtMessageIndex + 1) % this.caughtMessages.length;
-      this.showSpeechBubble(message, 2000);
+      const blocked = this.getBlockedFor(lobster);
+      moves.forEach(move => {
+        blocked.delete(move.lobster.position.hash());
+        blocked.add(move.nextPos.hash());
+      });
+      const { nextPos, escapedIfMove } = lobster.getNextStep(blocked, this.boardSquares, this.gridWidth, this.gridHeight);
+      if (nextPos) moves.push({ lobster, nextPos, escapedIfMove });
+    });
 
-      // Render to display the bubble
-      this.render();
+    captured.forEach(lobster => this.captureLobster(lobster));
+    if (moves.length > 0) this.animateTurnWiggleJump(moves);
+  }
+
+  // No way out left - the pupil has trapped a lobster. In the real game a
+  // stone flies to the cairn for the point, and a new round starts once no
+  // lobster is left free; practice boards just say so and leave the board as it is
+  captureLobster(lobster = this.lobster) {
+    lobster.status = 'caught';
+    // The round ends here unless another lobster is still free or mid-escape
+    // (an escape finishing resets the board itself)
+    const roundOver = this.lobsters.every(other => other.status === 'caught' || other.status === 'escaped');
+    if (roundOver) this.gameOver = true;
+    // The point is banked, so nothing before this can be undone
+    if (!this.practice) this.moveHistory = [];
+    this.updateActionButtons();
+    this.announce('Ghlac thu an giomach!');
+    this.controller.logEvent('lobster_captured', {
+      x: lobster.position.x,
+      y: lobster.position.y,
+      rocks: this.blockedSet.size,
+      lobsterIndex: this.lobsters.indexOf(lobster)
+    });
+    this.recordReplayMove({ type: 'caught', lobster: this.lobsters.indexOf(lobster) });
 
-      const lobsterTile = this.getCurrentLobsterTile();
-      if (lobsterTile) {
-        // Capture position BEFORE setTimeout to prevent position drift
-        const tileRect = lobsterTile.getBoundingClientRect();
+    // Track lobster caught for smart help system and adaptive difficulty
+    if (this.controller.currentState === 'GAME1') {
+      this.controller.getHelpSystem().recordLobsterCaught();
+    }
 
-        setTimeout(() => {
+    // Show caught message using tracked bubble system
+    const message = this.caughtMessages[this.caughtMessageIndex];
+    this.caughtMessageIndex = (this.caughtMessageIndex + 1) % this.caughtMessages.length;
+    this.showSpeechBubble(message, 2000, lobster);
 
-          const stone = document.createElement('img');
-          stone.src = './svgs/all-games/stone.svg';
-          stone.classList.add('stone-fly');
-          document.body.appendChild(stone);
-
-          const cairn = document.getElementById('cairn-spotlight');
-          if (cairn) {
-            const cairnRect = cairn.getBoundingClientRect();
-            // Use captured tileRect from before setTimeout
-            const dx = cairnRect.left - tileRect.left;
-            const dy = cairnRect.top - tileRect.top;
-
-            stone.style.position = 'fixed';
-            stone.style.left = tileRect.left + 'px';
-            stone.style.top = tileRect.top + 'px';
-            stone.style.zIndex = '9999';
-            stone.style.display = 'block';
-            stone.style.setProperty('--fly-x', `${dx}px`);
-            stone.style.setProperty('--fly-y', `${dy}px`);
-            stone.classList.add('stone-fly-animate');
-
-            stone.addEventListener('animationend', () => {
-              stone.remove();
-
-              cairn.classList.add('pulsing');
-              setTimeout(() => cairn.classList.remove('pulsing'), 800);
-
-              this.controller.addPointToCairn();
-
-              const counter = document.getElementById('points-counter');
-              if (counter) {
-                counter.classList.add('points-reward');
-                setTimeout(() => counter.classList.remove('points-reward'), 600);
-              }
+    // Render to display the bubble
+    this.render();
+    if (this.practice) {
+      if (roundOver && this.onRoundEnd) this.onRoundEnd('caught');
+      return;
+    }
+
+    // Scored now - the stone takes a while to land and the clock keeps going
+    const catchInfo = this.getCatchInfo();
+    const lobsterTile = this.getLobsterTile(lobster);
+    if (lobsterTile) {
+      // Capture position BEFORE setTimeout to prevent position drift
+      const tileRect = lobsterTile.getBoundingClientRect();
+
+      setTimeout(() => {
+
+        const stone = document.createElement('img');
+        stone.src = './svgs/all-games/stone.svg';
+        stone.classList.add('stone-fly');
+        document.body.appendChild(stone);
+
+        const cairn = document.getElementById('cairn-spotlight');
+        if (cairn) {
+          const cairnRect = cairn.getBoundingClientRect();
+          // Use captured tileRect from before setTimeout
+          const dx = cairnRect.left - tileRect.left;
+          const dy = cairnRect.top - tileRect.top;
+
+          stone.style.position = 'fixed';
+          stone.style.left = tileRect.left + 'px';
+          stone.style.top = tileRect.top + 'px';
+          stone.style.zIndex = '9999';
+          stone.style.display = 'block';
+          stone.style.setProperty('--fly-x', `${dx}px`);
+          stone.style.setProperty('--fly-y', `${dy}px`);
+          stone.classList.add('stone-fly-animate');
+
+          stone.addEventListener('animationend', () => {
+            stone.remove();
+
+            cairn.classList.add('pulsing');
+            setTimeout(() => cairn.classList.remove('pulsing'), 800);
+
+            this.controller.addGame1CatchToCairn(catchInfo);
+
+            const counter = document.getElementById('points-counter');
+            if (counter) {
+              counter.classList.add('points-reward');
+              setTimeout(() => counter.classList.remove('points-reward'), 600);
+            }
 
+            if (roundOver) {
               setTimeout(() => {
                 this.reset();
                 this.render();
               }, 400);
-            });
-          }
-        }, 1200);
-      }
-      return;
+            }
+          });
+        }
+      }, 1200);
     }
-
-    this.animateTurnWiggleJump(nextPos, escapedIfMove);
   }
 
-  animateTurnWiggleJump(nextPos, escapedIfMove) {
+  // moves is a list of { lobster, nextPos, escapedIfMove } - all the lobsters
+  // turn, wiggle and jump together
+  animateTurnWiggleJump(moves) {
     this.isAnimating = true;
+    this.updateActionButtons();
 
     // Increment jump counter for movement messages
     this.jumpCounter++;
 
-    this.lobster.rotation = this.lobster.getRotationForDirection(nextPos);
+    const eachTile = (callback) => moves.forEach(move => {
+      const tile = this.getLobsterTile(move.lobster);
+      if (tile) callback(tile, move);
+    });
+
+    moves.forEach(move => {
+      move.lobster.rotation = move.lobster.getRotationForDirection(move.nextPos);
+    });
     this.render();
-    const tile = this.getCurrentLobsterTile();
-    if (tile) {
-      tile.style.setProperty('--lobster-rotation', `${this.lobster.rotation}deg`);
+    eachTile((tile, move) => {
+      tile.style.setProperty('--lobster-rotation', `${move.lobster.rotation}deg`);
       tile.classList.add('lobster-turn');
-    }
+    });
 
     setTimeout(() => {
       this.render();
-      const tile2 = this.getCurrentLobsterTile();
-      if (tile2) {
-        tile2.style.setProperty('--lobster-rotation', `${this.lobster.rotation}deg`);
-        tile2.classList.remove('lobster-turn');
-        tile2.classList.add('lobster-wiggle');
-      }
+      eachTile((tile, move) => {
+        tile.style.setProperty('--lobster-rotation', `${move.lobster.rotation}deg`);
+        tile.classList.remove('lobster-turn');
+        tile.classList.add('lobster-wiggle');
+      });
 
       setTimeout(() => {
-        this.lobster.position = nextPos;
+        moves.forEach(move => {
+          this.controller.logEvent('lobster_moved', {
+            from: move.lobster.position.hash(),
+            to: move.nextPos.hash(),
+            escaping: move.escapedIfMove,
+            lobsterIndex: this.lobsters.indexOf(move.lobster)
+          });
+          this.recordReplayMove({
+            type: 'lobster',
+            lobster: this.lobsters.indexOf(move.lobster),
+            from: move.lobster.position.hash(),
+            to: move.nextPos.hash()
+          });
+          move.lobster.position = move.nextPos;
+        });
+        const escaping = moves.some(move => move.escapedIfMove);
+        this.announce(moves.map(move =>
+          `Leum an giomach gu ${this.describeSquare(move.nextPos.x, move.nextPos.y)}${move.escapedIfMove ? ' - tha e aig an oir!' : '.'}`).join(' '));
         this.render();
-        const tile3 = this.getCurrentLobsterTile();
-        if (tile3) {
-          tile3.style.setProperty('--lobster-rotation', `${this.lobster.rotation}deg`);
-          tile3.classList.remove('lobster-wiggle');
-          tile3.classList.add('lobster-jump');
-        }
+        eachTile((tile, move) => {
+          tile.style.setProperty('--lobster-rotation', `${move.lobster.rotation}deg`);
+          tile.classList.remove('lobster-wiggle');
+          tile.classList.add('lobster-jump');
+        });
 
         setTimeout(() => {
-          const tile4 = this.getCurrentLobsterTile();
-          if (tile4) tile4.classList.remove('lobster-jump');
+          eachTile(tile => tile.classList.remove('lobster-jump'));
           this.isAnimating = false;
+          this.updateActionButtons();
 
           // Show movement message every 3-4 jumps
-          if (this.jumpCounter >= this.jumpsUntilMessage && !escapedIfMove) {
+          if (this.jumpCounter >= this.jumpsUntilMessage && !escaping) {
             const message = this.movementMessages[this.movementMessageIndex];
             this.movementMessageIndex = (this.movementMessageIndex + 1) % this.movementMessages.length;
-            this.showSpeechBubble(message, 1500);
+            this.showSpeechBubble(message, 1500, moves[0].lobster);
 
             // Reset counter and set new random target
             this.jumpCounter = 0;
             this.jumpsUntilMessage = this.getRandomJumps();
           }
 
-          if (escapedIfMove) {
-            // Track lobster escaped for smart help system
-            if (this.controller.helpSystem) {
-              this.controller.helpSystem.recordLobsterEscaped();
-            }
-
-            // Lobster reached edge - trigger escape animation immediately
-            const lobsterTile = this.getCurrentLobsterTile();
-            if (lobsterTile) {
-              this.triggerEscapeAnimation(lobsterTile);
-            }
-          }
+          moves.filter(move => move.escapedIfMove).forEach(move => this.escapeLobster(move.lobster));
         }, 280);
       }, 120);
     }, 120);
   }
 
+  escapeLobster(lobster) {
+    this.controller.logEvent('lobster_escaped', {
+      x: lobster.position.x,
+      y: lobster.position.y,
+      rocks: this.blockedSet.size,
+      lobsterIndex: this.lobsters.indexOf(lobster)
+    });
+
+    // Track lobster escaped for smart help system and adaptive difficulty
+    if (this.controller.currentState === 'GAME1') {
+      this.controller.getHelpSystem().recordLobsterEscaped();
+    }
+
+    // Practice boards stay put so the pupil can see (and undo) what went wrong
+    if (this.practice) {
+      this.gameLost = true;
+      this.announce('Theich an giomach!');
+      this.updateActionButtons();
+      if (this.onRoundEnd) this.onRoundEnd('escaped');
+      return;
+    }
+
+    lobster.status = 'escaping';
+    this.moveHistory = [];
+    this.recordReplayMove({ type: 'escaped', lobster: this.lobsters.indexOf(lobster) });
+    this.controller.recordGame1Escape();
+
+    // Lobster reached edge - trigger escape animation immediately
+    const lobsterTile = this.getLobsterTile(lobster);
+    if (lobsterTile) {
+      this.triggerEscapeAnimation(lobsterTile, lobster);
+    }
+  }
+
+  // What undo needs to put back: the rock (null for a practice step) and
+  // where every lobster was
+  getUndoSnapshot(rock) {
+    return {
+      rock: rock,
+      lobsters: this.lobsters.map(lobster => ({ position: lobster.position, rotation: lobster.rotation, status: lobster.status }))
+    };
+  }
+
+  canUndo() {
+    // Practice boards can also undo the move that let the lobster escape
+    const finished = this.gameOver || (this.gameLost && !this.practice);
+    // Nothing changes behind the pause overlay (Ctrl+Z included)
+    const paused = this.controller.gamePaused && this.controller.game1Board === this;
+    return this.moveHistory.length > 0 && !paused &&
+      this.undosThisRound < this.undoLimit &&
+      !finished && !this.isAnimating && !this.isEscaping && !this.isOnEdge;
+  }
+
+  // Takes back the last rock and the lobsters' jumps that followed it
+  undoLastMove() {
+    if (!this.canUndo()) return false;
+
+    const move = this.moveHistory.pop();
+    const lobsterWas = this.lobster.position.hash();
+    if (move.rock) this.blockedSet.delete(move.rock);
+    this.hintKey = null;
+    move.lobsters.forEach((saved, index) => {
+      Object.assign(this.lobsters[index], saved);
+    });
+    this.gameLost = false;
+    this.undosThisRound++;
+    this.totalUndos++;
+
+    this.controller.logEvent('move_undone', {
+      rock: move.rock,
+      lobsterFrom: lobsterWas,
+      lobsterTo: this.lobster.position.hash(),
+      undosLeft: this.undoLimit - this.undosThisRound
+    });
+    this.recordReplayMove({ type: 'undo', rock: move.rock, lobsters: this.lobsters.map(lobster => lobster.position.hash()) });
+    this.announce(`Chaidh a' chlach a thoirt air ais. Tha an giomach air ${this.describeSquare(this.lobster.position.x, this.lobster.position.y)}.`);
+    this.render();
+    this.updateActionButtons();
+    return true;
+  }
+
+  // Undo and hint buttons under the board (only on the main Game 1 screen)
+  updateActionButtons() {
+    const undoButton = document.getElementById('undo-button');
+    if (undoButton) {
+      undoButton.disabled = !this.canUndo();
+      undoButton.textContent = this.undoLimit === Infinity
+        ? 'Neo-dhèan'
+        : `Neo-dhèan (${this.undoLimit - this.undosThisRound})`;
+    }
+
+    const hintButton = document.getElementById('hint-button');
+    if (hintButton) {
+      hintButton.hidden = this.hintLimit === 0;
+      hintButton.disabled = !this.canUseHint();
+      hintButton.textContent = `Sanas (${this.hintLimit - this.hintsThisRound})`;
+    }
+  }
+
+  // ===== HINTS =====
+  // The "Sanas" button lights up the free tile that does the most damage to
+  // the lobster's escape: one that traps it outright if there is one,
+  // otherwise the one that leaves the longest shortest escape, then the one
+  // that leaves it the fewest equally short ways out
+  canUseHint() {
+    const paused = this.controller.gamePaused && this.controller.game1Board === this;
+    return this.hintsThisRound < this.hintLimit && !paused &&
+      !this.gameOver && !this.gameLost && !this.isAnimating && !this.isEscaping && !this.isOnEdge;
+  }
+
+  // With several lobsters it works against whichever is closest to escaping
+  findBestRock() {
+    return chooseBestRock(this, this.getFreeLobsters(), key => this.isLobsterAt(key));
+  }
+
+  showHint() {
+    if (!this.canUseHint()) return false;
+    const best = this.findBestRock();
+    if (!best) return false;
+
+    this.hintsThisRound++;
+    this.totalHints++;
+    this.hintKey = best.square.hash();
+
+    this.controller.logEvent('hint_used', {
+      tile: this.hintKey,
+      lobster: this.lobster.position.hash(),
+      escapeStepsBefore: this.getEscapeSteps(),
+      escapeStepsAfter: best.escapeSteps === Infinity ? null : best.escapeSteps,
+      hintsLeft: this.hintLimit - this.hintsThisRound,
+      cost: this.hintCost
+    });
+    this.recordReplayMove({ type: 'hint', tile: this.hintKey });
+    if (this.hintCost > 0) {
+      this.controller.recordPoints('game1', 'hint', -this.hintCost);
+    }
+
+    this.announce(`Sanas: feuch clach air ${this.describeSquare(best.square.x, best.square.y)}.`);
+    this.render();
+    this.updateActionButtons();
+    return true;
+  }
+
   getCurrentLobsterTile() {
     const container = document.querySelector('.hex-board-container');
     if (!container) return null;
     return document.querySelector('.hex-tile[data-lobster="true"]') || null;
   }
 
+  getLobsterTile(lobster) {
+    if (this.view) return this.view.tiles.get(lobster.position.hash()) || null;
+    return this.getCurrentLobsterTile();
+  }
+
   reset() {
-    this.blockedSet.clear();
-    this.spawnLobster();
-    this.placeRandomRocks();
+    this.generateRound();
     this.gameOver = false;
     this.gameLost = false;
     this.isAnimating = false;
     this.isEscaping = false;
     this.isOnEdge = false;
+    this.moveHistory = [];
+    this.undosThisRound = 0;
+    this.hintsThisRound = 0;
+    this.hintKey = null;
 
     // Reset jump counter for movement messages
     this.jumpCounter = 0;
@@ -1939,9 +3493,11 @@ class Game1Board {
 
     const status = document.getElementById('round-status');
     if (status) status.innerHTML = '';
+    this.updateActionButtons();
 
     const board = document.getElementById('game1-board');
     if (board) {
+      board.querySelectorAll('.board-fade').forEach(oldFade => oldFade.remove());
       const fade = document.createElement('div');
       fade.classList.add('board-fade');
       board.appendChild(fade);
@@ -1979,6 +3535,12 @@ class Game1Board {
     return svg;
   }
 
+  // ===== BOARD VIEW =====
+  // The tiles are built once per board and then patched: render() only
+  // touches tiles whose contents changed (rock added or removed, lobster
+  // arrived or left, speech bubble shown) instead of rebuilding every tile,
+  // SVG and listener on each lobster animation phase. Sizes and positions
+  // are only worked out again in layout(), on resize
   render() {
     const board = document.getElementById('game1-board');
     if (!board) {
@@ -1986,20 +3548,29 @@ class Game1Board {
       return;
     }
 
-    const availableWidth = board.clientWidth;
-    const availableHeight = board.clientHeight;
-
-    const rowHeight = 0.85;
-    const hexSizeW = (availableWidth * 0.9) / (this.gridWidth + 0.5);
-    const hexSizeH = (availableHeight * 0.9) / (this.gridHeight * rowHeight + 0.15);
-    const hexSize = Math.max(12, Math.min(hexSizeW, hexSizeH));
+    if (!this.view || this.view.board !== board || !board.contains(this.view.container)) {
+      this.buildView(board);
+    }
+    this.updateView();
+  }
 
+  buildView(board) {
     const container = document.createElement('div');
     container.classList.add('hex-board-container');
     container.style.position = 'relative';
-    container.style.width = (this.gridWidth * hexSize + hexSize / 2) + 'px';
-    container.style.height = (this.gridHeight * hexSize * rowHeight + hexSize * 0.15) + 'px';
     container.style.margin = '0 auto';
+    container.addEventListener('keydown', (e) => this.handleBoardKey(e));
+
+    this.view = {
+      board: board,
+      container: container,
+      tiles: new Map(),         // key -> tile element
+      tileStates: new Map(),    // key -> 'empty' | 'rock' | 'lobster' as last drawn
+      hexSize: null,
+      focusKey: null,
+      hintKey: null,
+      bubble: null              // { key, message, element } currently on screen
+    };
 
     for (let y = 0; y < this.gridHeight; y++) {
       for (let x = 0; x < this.gridWidth; x++) {
@@ -2007,77 +3578,27 @@ class Game1Board {
 
         const tile = document.createElement('div');
         tile.classList.add('hex-tile');
-        tile.style.width = hexSize + 'px';
-        tile.style.height = hexSize + 'px';
+        tile.dataset.pos = key;
         tile.style.position = 'absolute';
-        tile.style.left = (x * hexSize + (y % 2 ? hexSize / 2 : 0)) + 'px';
-        tile.style.top = (y * (hexSize * rowHeight)) + 'px';
         tile.style.cursor = 'pointer';
         tile.style.transition = 'transform 150ms ease-out, filter 150ms ease-out';
 
-        const hexBg = this.createHexagon(hexSize);
-        hexBg.classList.add('hex-sand');
-        tile.appendChild(hexBg);
+        // Roving focus - only one tile is in the tab order, arrows move it
+        tile.setAttribute('role', 'button');
+        tile.tabIndex = -1;
 
-        // Check if this is the lobster position
-        const isLobsterPosition = this.lobster.position.x === x && this.lobster.position.y === y;
-
-        // Only render rock if position is blocked AND not the lobster position
-        if (this.blockedSet.has(key) && !isLobsterPosition) {
-          tile.classList.add('has-rock'); // Mark tile as containing a rock
-          const rock = document.createElement('img');
-          rock.src = './svgs/game-1/rock-wall.svg';
-          rock.classList.add('hex-rock');
-          rock.style.width = '100%';
-          rock.style.height = '100%';
-          rock.style.objectFit = 'cover';
-          rock.style.position = 'absolute';
-          rock.style.top = '0';
-          rock.style.left = '0';
-          rock.style.zIndex = '2';
-          rock.style.pointerEvents = 'none'; // Prevent rock from intercepting events
-          tile.appendChild(rock);
-        }
-
-        if (isLobsterPosition) {
-          tile.setAttribute('data-lobster', 'true');
-          tile.style.setProperty('--lobster-rotation', `${this.lobster.rotation}deg`);
-          tile.style.zIndex = '1000'; // Ensure lobster tile is above other tiles
-
-          const lobster = document.createElement('img');
-          lobster.src = './svgs/game-1/lobster.svg';
-          lobster.classList.add('lobster-svg');
-          lobster.style.width = '100%';
-          lobster.style.height = '100%';
-          lobster.style.objectFit = 'cover';
-          lobster.style.position = 'absolute';
-          lobster.style.top = '0';
-          lobster.style.left = '0';
-          lobster.style.zIndex = '3';
-          tile.appendChild(lobster);
-
-          // Re-create speech bubble if one is active
-          const bubbleData = this.shouldShowBubble();
-          if (bubbleData) {
-            const bubble = document.createElement('div');
-            bubble.classList.add('lobster-speech');
-            // Only add persistent-bubble class if this is NOT the first render (prevents animation on re-renders)
-            if (!bubbleData.isFirstRender) {
-              bubble.classList.add('persistent-bubble');
-            }
-            bubble.textContent = bubbleData.message;
-            tile.appendChild(bubble);
-          }
-        }
-
-        tile.addEventListener('click', () => {
-          if (!this.blockedSet.has(key) && !(this.lobster.position.x === x && this.lobster.position.y === y)) {
-            this.clickHexTile(x, y);
-          }
-        });
+        tile.addEventListener('click', () => {
+          if (this.readOnly) return;
+          this.focusKey = key;
+          if (this.practice && this.practiceTool !== 'play') {
+            this.editTile(x, y);
+          } else if (!this.blockedSet.has(key) && !this.isLobsterAt(key)) {
+            this.clickHexTile(x, y);
+          }
+        });
 
         tile.addEventListener('mouseenter', () => {
-          if (!this.blockedSet.has(key) && !(this.lobster.position.x === x && this.lobster.position.y === y)) {
+          if (!this.readOnly && !this.blockedSet.has(key) && !this.isLobsterAt(key)) {
             // Add preview class for rock placement affordance
             tile.classList.add('hover-preview');
           }
@@ -2089,11 +3610,446 @@ class Game1Board {
         });
 
         container.appendChild(tile);
+        this.view.tiles.set(key, tile);
       }
     }
 
     board.innerHTML = '';
     board.appendChild(container);
+    this.layout();
+  }
+
+  // Sizes the board to fit its element - only needed when the tiles are
+  // first built and when the window changes size
+  layout() {
+    if (!this.view) return;
+    const board = this.view.board;
+
+    const rowHeight = 0.85;
+    const hexSizeW = (board.clientWidth * 0.9) / (this.gridWidth + 0.5);
+    const hexSizeH = (board.clientHeight * 0.9) / (this.gridHeight * rowHeight + 0.15);
+    const hexSize = Math.max(12, Math.min(hexSizeW, hexSizeH));
+    if (hexSize === this.view.hexSize) return;
+    this.view.hexSize = hexSize;
+
+    const container = this.view.container;
+    container.style.width = (this.gridWidth * hexSize + hexSize / 2) + 'px';
+    container.style.height = (this.gridHeight * hexSize * rowHeight + hexSize * 0.15) + 'px';
+
+    this.view.tiles.forEach((tile, key) => {
+      const [x, y] = key.split(',').map(Number);
+      tile.style.width = hexSize + 'px';
+      tile.style.height = hexSize + 'px';
+      tile.style.left = (x * hexSize + (y % 2 ? hexSize / 2 : 0)) + 'px';
+      tile.style.top = (y * (hexSize * rowHeight)) + 'px';
+
+      // The hexagon's outline is drawn in pixels, so it's redrawn at the new size
+      const hexBg = this.createHexagon(hexSize);
+      hexBg.classList.add('hex-sand');
+      const oldHexBg = tile.querySelector('.hex-sand');
+      if (oldHexBg) {
+        tile.replaceChild(hexBg, oldHexBg);
+      } else {
+        tile.insertBefore(hexBg, tile.firstChild);
+      }
+    });
+    this.drawEscapePath(container, hexSize);
+  }
+
+  // Patches tiles whose contents no longer match the game state
+  updateView() {
+    const lobsterTiles = new Map(this.getActiveLobsters().map(lobster => [lobster.position.hash(), lobster]));
+
+    this.view.tiles.forEach((tile, key) => {
+      // Only render rock if position is blocked AND not a lobster position
+      let state = 'empty';
+      if (lobsterTiles.has(key)) {
+        state = 'lobster';
+      } else if (this.blockedSet.has(key)) {
+        state = 'rock';
+      }
+
+      if (this.view.tileStates.get(key) !== state) {
+        this.drawTileContents(tile, key, state);
+        this.view.tileStates.set(key, state);
+      }
+    });
+
+    lobsterTiles.forEach((lobster, key) => {
+      const tile = this.view.tiles.get(key);
+      tile.style.setProperty('--lobster-rotation', `${lobster.rotation}deg`);
+      // With several lobsters, the caught ones stay on the board as obstacles
+      tile.classList.toggle('lobster-caught', this.lobsters.length > 1 && lobster.status === 'caught');
+      // ...and the lobster tool shows which one it will move
+      tile.classList.toggle('lobster-selected', this.practiceTool === 'lobster' && this.lobsters.length > 1 &&
+        this.lobsters.indexOf(lobster) === this.movingLobster);
+    });
+
+    const focusKey = this.getFocusKey();
+    if (focusKey !== this.view.focusKey) {
+      const previous = this.view.tiles.get(this.view.focusKey);
+      if (previous) previous.tabIndex = -1;
+      const next = this.view.tiles.get(focusKey);
+      if (next) next.tabIndex = 0;
+      this.view.focusKey = focusKey;
+    }
+
+    if (this.hintKey !== this.view.hintKey) {
+      const previous = this.view.tiles.get(this.view.hintKey);
+      if (previous) previous.classList.remove('hint-highlight');
+      const next = this.view.tiles.get(this.hintKey);
+      if (next) next.classList.add('hint-highlight');
+      this.view.hintKey = this.hintKey;
+    }
+
+    this.updateSpeechBubble();
+    if (this.scanner) this.scanner.highlight();
+    this.drawEscapePath(this.view.container, this.view.hexSize);
+  }
+
+  drawTileContents(tile, key, state) {
+    const [x, y] = key.split(',').map(Number);
+    const previousState = this.view.tileStates.get(key);
+
+    if (previousState === 'rock') {
+      tile.classList.remove('has-rock');
+      const rock = tile.querySelector('.hex-rock');
+      if (rock) rock.remove();
+    }
+
+    if (previousState === 'lobster') {
+      // Clear everything the lobster animations left on its old tile
+      tile.removeAttribute('data-lobster');
+      tile.style.zIndex = '';
+      tile.classList.remove('lobster-turn', 'lobster-wiggle', 'lobster-jump', 'lobster-escape', 'lobster-caught', 'lobster-selected');
+      ['--lobster-rotation', '--escape-x', '--escape-y'].forEach(property => tile.style.removeProperty(property));
+      const lobster = tile.querySelector('.lobster-svg');
+      if (lobster) lobster.remove();
+    }
+
+    if (state === 'rock') {
+      tile.classList.add('has-rock'); // Mark tile as containing a rock
+      tile.classList.remove('hover-preview');
+      const rock = document.createElement('img');
+      rock.src = './svgs/game-1/rock-wall.svg';
+      rock.classList.add('hex-rock');
+      rock.style.width = '100%';
+      rock.style.height = '100%';
+      rock.style.objectFit = 'cover';
+      rock.style.position = 'absolute';
+      rock.style.top = '0';
+      rock.style.left = '0';
+      rock.style.zIndex = '2';
+      rock.style.pointerEvents = 'none'; // Prevent rock from intercepting events
+      tile.appendChild(rock);
+    }
+
+    if (state === 'lobster') {
+      tile.setAttribute('data-lobster', 'true');
+      tile.classList.remove('hover-preview');
+      tile.style.zIndex = '1000'; // Ensure lobster tile is above other tiles
+
+      const lobster = document.createElement('img');
+      lobster.src = './svgs/game-1/lobster.svg';
+      lobster.classList.add('lobster-svg');
+      lobster.style.width = '100%';
+      lobster.style.height = '100%';
+      lobster.style.objectFit = 'cover';
+      lobster.style.position = 'absolute';
+      lobster.style.top = '0';
+      lobster.style.left = '0';
+      lobster.style.zIndex = '3';
+      tile.appendChild(lobster);
+    }
+
+    tile.setAttribute('aria-label', this.getTileLabel(x, y));
+    if (state === 'empty') {
+      tile.removeAttribute('aria-disabled');
+    } else {
+      tile.setAttribute('aria-disabled', 'true');
+    }
+  }
+
+  // The bubble stays on the lobster's tile; it's only redrawn when the
+  // message changes or the lobster jumps (without replaying its pop-in)
+  updateSpeechBubble() {
+    const speaker = (this.activeBubble && this.activeBubble.lobster) || this.lobster;
+    const lobsterKey = speaker.position.hash();
+    const lobsterTile = speaker.status === 'escaped' ? null : this.view.tiles.get(lobsterKey);
+    const bubbleData = this.shouldShowBubble();
+    const shown = this.view.bubble;
+    const message = bubbleData ? bubbleData.message : null;
+
+    if (shown && shown.key === lobsterKey && shown.message === message && shown.element.isConnected) return;
+
+    if (shown) shown.element.remove();
+    this.view.bubble = null;
+    if (!bubbleData || !lobsterTile) return;
+
+    const bubble = document.createElement('div');
+    bubble.classList.add('lobster-speech');
+    // Only add persistent-bubble class if this is NOT the first render (prevents animation on re-renders)
+    if (!bubbleData.isFirstRender) {
+      bubble.classList.add('persistent-bubble');
+    }
+    bubble.textContent = bubbleData.message;
+    lobsterTile.appendChild(bubble);
+    this.view.bubble = { key: lobsterKey, message: message, element: bubble };
+  }
+
+  // ===== PRACTICE MODE =====
+  setPracticeTool(tool) {
+    this.practiceTool = tool;
+    document.querySelectorAll('.practice-tool').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.tool === tool));
+    });
+    if (this.view) this.render();  // Shows or hides which lobster the tool moves
+  }
+
+  // Editing tools - change the board without the lobster answering
+  editTile(x, y) {
+    if (this.isAnimating || this.isEscaping) return;
+    const key = `${x},${y}`;
+
+    if (this.practiceTool === 'rocks') {
+      if (this.isLobsterAt(key)) return;
+      const removing = this.blockedSet.has(key);
+      if (removing) {
+        this.blockedSet.delete(key);
+      } else {
+        this.blockedSet.add(key);
+      }
+      this.controller.logEvent('practice_edit', { action: removing ? 'rock_removed' : 'rock_added', tile: key });
+    } else if (this.practiceTool === 'lobster') {
+      // Clicking a lobster picks it; clicking an empty square moves it there
+      const picked = this.lobsters.findIndex(lobster => lobster.position.hash() === key);
+      if (picked !== -1) {
+        this.movingLobster = picked;
+        if (this.lobsters.length > 1) this.announce(`Thagh thu giomach ${picked + 1}`);
+        this.render();
+        return;
+      }
+      if (this.blockedSet.has(key)) return;
+      const lobster = this.lobsters[this.movingLobster] || this.lobster;
+      const from = lobster.position.hash();
+      lobster.position = new HexGridSquare(x, y);
+      this.controller.logEvent('practice_edit', { action: 'lobster_moved', from: from, tile: key, lobsterIndex: this.lobsters.indexOf(lobster) });
+    }
+
+    // An edited board is a fresh puzzle - earlier moves can't be undone into it
+    this.lobsters.forEach(lobster => {
+      if (lobster.status === 'caught') lobster.status = 'free';
+    });
+    this.gameOver = false;
+    this.gameLost = false;
+    this.moveHistory = [];
+    this.hintKey = null;
+    this.activeBubble = null;
+    this.render();
+    this.updateActionButtons();
+    if (this.onEdit) this.onEdit();
+  }
+
+  // Lets the lobster take one jump without the pupil placing a rock
+  stepLobster() {
+    if (this.gameOver || this.gameLost || this.isAnimating || this.isEscaping || this.isOnEdge) return;
+
+    this.controller.logEvent('practice_step', {
+      lobster: this.lobster.position.hash(),
+      lobsters: this.getActiveLobsters().map(lobster => lobster.position.hash())
+    });
+    this.moveHistory.push(this.getUndoSnapshot(null));
+    this.moveLobsters();
+  }
+
+  // Empty board with the lobster back in the centre
+  clearBoard() {
+    if (this.isAnimating || this.isEscaping) return;
+    this.reset();
+    this.blockedSet.clear();
+    const centre = new HexGridSquare(Math.floor(this.gridWidth / 2), Math.floor(this.gridHeight / 2));
+    // Any other lobster already in the centre swaps places with the first
+    const inTheWay = this.lobsters.find(lobster => lobster !== this.lobster && lobster.position.hash() === centre.hash());
+    if (inTheWay) inTheWay.position = this.lobster.position;
+    this.lobster.position = centre;
+    this.lobster.rotation = 0;
+    this.render();
+  }
+
+  // ===== ESCAPE PATH OVERLAY =====
+  // Draws the lobster's current shortest escape (the same BFS it moves by)
+  // as a line over the board. The line is only replaced when the route
+  // changes, and each new route draws itself in so pupils see it react to
+  // every rock they place
+  isEscapePathShown() {
+    return this.pathOverlay && this.controller.showEscapePath;
+  }
+
+  drawEscapePath(container, hexSize) {
+    const existing = container.querySelector('.escape-path-overlay');
+    // One route per free lobster, each going round the rocks and the other lobsters
+    const paths = this.isEscapePathShown()
+      ? this.getFreeLobsters()
+        .map(lobster => lobster.findShortestEscapePath(this.getBlockedFor(lobster), this.boardSquares, this.gridWidth, this.gridHeight))
+        .filter(path => path && path.length > 1)
+      : [];
+    const route = paths.map(path => path.map(square => square.hash()).join(' ')).join('|');
+
+    if (existing && existing.dataset.route === route && existing.dataset.size === String(hexSize)) return;
+    if (existing) existing.remove();
+    if (!route) return;
+
+    const rowHeight = 0.85;
+    const centre = (square) => ({
+      x: square.x * hexSize + (square.y % 2 ? hexSize / 2 : 0) + hexSize / 2,
+      y: square.y * hexSize * rowHeight + hexSize / 2
+    });
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.classList.add('escape-path-overlay');
+    svg.setAttribute('aria-hidden', 'true');
+    svg.dataset.route = route;
+    svg.dataset.size = String(hexSize);
+
+    paths.forEach(path => {
+      const line = document.createElementNS(svgNS, 'polyline');
+      line.classList.add('escape-path-line');
+      line.setAttribute('points', path.map(square => {
+        const point = centre(square);
+        return `${point.x},${point.y}`;
+      }).join(' '));
+      line.setAttribute('pathLength', '1');
+      line.setAttribute('stroke-width', Math.max(3, hexSize * 0.12));
+      svg.appendChild(line);
+
+      const exitPoint = centre(path[path.length - 1]);
+      const exit = document.createElementNS(svgNS, 'circle');
+      exit.classList.add('escape-path-exit');
+      exit.setAttribute('cx', exitPoint.x);
+      exit.setAttribute('cy', exitPoint.y);
+      exit.setAttribute('r', hexSize * 0.2);
+      svg.appendChild(exit);
+    });
+
+    container.appendChild(svg);
+  }
+
+  // After the toggle - redraws on whichever board element this board is showing on
+  redrawEscapePath() {
+    const container = this.view
+      ? this.view.container
+      : document.querySelector('#game1-board-tutorial .hex-board-container');
+    if (!container) return;
+    const firstTile = container.querySelector('.hex-tile');
+    const hexSize = this.view ? this.view.hexSize : (firstTile ? parseFloat(firstTile.style.width) : 0);
+    if (hexSize) this.drawEscapePath(container, hexSize);
+  }
+
+  // ===== KEYBOARD NAVIGATION =====
+  // Arrow keys follow the six getNeighbors() directions on the offset grid:
+  // Left/Right go sideways, Up/Down go to the neighbour in the same column
+  // (so holding Up zig-zags straight up the board), and the number pad's
+  // diagonals (7/9/1/3, which send Home/PageUp/End/PageDown) go to the others
+  getFocusKey() {
+    if (!this.focusKey || !this.boardSquares.has(this.focusKey)) {
+      this.focusKey = this.lobster.position.hash();
+    }
+    return this.focusKey;
+  }
+
+  getNeighborInDirection(square, direction) {
+    const screenX = (sq) => sq.x + (sq.y % 2 ? 0.5 : 0);
+    const match = square.getNeighbors().find(neighbor => {
+      const dx = screenX(neighbor) - screenX(square);
+      const dy = neighbor.y - square.y;
+      switch (direction) {
+        case 'left': return dy === 0 && dx < 0;
+        case 'right': return dy === 0 && dx > 0;
+        case 'up': return dy < 0 && neighbor.x === square.x;
+        case 'down': return dy > 0 && neighbor.x === square.x;
+        case 'up-left': return dy < 0 && dx < 0;
+        case 'up-right': return dy < 0 && dx > 0;
+        case 'down-left': return dy > 0 && dx < 0;
+        case 'down-right': return dy > 0 && dx > 0;
+        default: return false;
+      }
+    });
+    return match && this.boardSquares.has(match.hash()) ? match : null;
+  }
+
+  handleBoardKey(e) {
+    const directions = {
+      ArrowLeft: 'left', ArrowRight: 'right', ArrowUp: 'up', ArrowDown: 'down',
+      Home: 'up-left', PageUp: 'up-right', End: 'down-left', PageDown: 'down-right'
+    };
+    const [x, y] = this.getFocusKey().split(',').map(Number);
+
+    if (directions[e.key]) {
+      e.preventDefault();
+      const next = this.getNeighborInDirection(new HexGridSquare(x, y), directions[e.key]);
+      if (next) this.moveFocus(next.hash());
+    } else if ((e.key === 'Enter' || e.key === ' ') && !this.scanner && !this.readOnly) {
+      // With scanning on the switch scanner owns Enter/Space
+      e.preventDefault();
+      const key = this.getFocusKey();
+      if (this.practice && this.practiceTool !== 'play') {
+        this.editTile(x, y);
+      } else if (!this.blockedSet.has(key) && !this.isLobsterAt(key)) {
+        this.clickHexTile(x, y);
+      }
+    }
+  }
+
+  moveFocus(key) {
+    const board = document.getElementById('game1-board');
+    if (!board) return;
+    const previous = board.querySelector(`[data-pos="${this.focusKey}"]`);
+    const next = board.querySelector(`[data-pos="${key}"]`);
+    if (!next) return;
+    if (previous) previous.tabIndex = -1;
+    next.tabIndex = 0;
+    next.focus();
+    this.focusKey = key;
+  }
+
+  // ===== SCREEN READER TEXT =====
+  describeSquare(x, y) {
+    return `sreath ${y + 1}, colbh ${x + 1}`;
+  }
+
+  getTileLabel(x, y) {
+    const key = `${x},${y}`;
+    let contents = 'falamh';
+    if (this.isLobsterAt(key)) {
+      contents = 'an giomach';
+    } else if (this.blockedSet.has(key)) {
+      contents = 'clach';
+    }
+    const onEdge = x === 0 || y === 0 || x === this.gridWidth - 1 || y === this.gridHeight - 1;
+    const label = `${this.describeSquare(x, y)}: ${contents}${onEdge ? ', aig an oir' : ''}`;
+    return label.charAt(0).toUpperCase() + label.slice(1);
+  }
+
+  // Read out through the live region on the Game 1 screen (tutorial boards don't have one)
+  announce(message) {
+    const announcer = document.getElementById('game1-announcer');
+    if (announcer) announcer.textContent = message;
+  }
+
+  // ===== SWITCH SCANNING =====
+  startScanning(interval) {
+    this.stopScanning();
+    this.scanner = new HexBoardScanner(this, interval);
+    this.scanner.start();
+    this.controller.logEvent('scanning_started', { interval: interval });
+  }
+
+  stopScanning() {
+    if (this.scanner) {
+      this.scanner.stop();
+      this.scanner = null;
+    }
   }
 
   renderTutorial(elementId) {
@@ -2190,6 +4146,7 @@ class Game1Board {
 
     board.innerHTML = '';
     board.appendChild(container);
+    this.drawEscapePath(container, hexSize);
   }
 
   renderTutorialOnlyLobster(elementId) {
@@ -2246,6 +4203,7 @@ class Game1Board {
 
     board.innerHTML = '';
     board.appendChild(container);
+    this.drawEscapePath(container, hexSize);
   }
 
   startSlowLobsterAnimation(interval = 2000) {
@@ -2271,7 +4229,7 @@ class Game1Board {
     }
   }
 
-  triggerEscapeAnimation(tile) {
+  triggerEscapeAnimation(tile, lobster = this.lobster) {
     if (!tile) return;
 
     this.isEscaping = true;
@@ -2285,7 +4243,7 @@ class Game1Board {
       existingBubble.remove();
     }
 
-    const { x, y } = this.lobster.position;
+    const { x, y } = lobster.position;
     let rotation = 0;
     let dx = 0, dy = 0;
     const distance = 1200;
@@ -2304,28 +4262,142 @@ class Game1Board {
       rotation = 90;
       dx = distance; dy = 0;
     } else {
-      const ang = (this.lobster.rotation % 360) * (Math.PI / 180);
+      const ang = (lobster.rotation % 360) * (Math.PI / 180);
       dx = Math.cos(ang) * distance;
       dy = -Math.sin(ang) * distance;
-      rotation = this.lobster.rotation % 360;
+      rotation = lobster.rotation % 360;
     }
 
-    this.lobster.rotation = rotation;
+    lobster.rotation = rotation;
     tile.style.setProperty('--lobster-rotation', `${rotation}deg`);
     tile.style.setProperty('--escape-x', `${dx}px`);
     tile.style.setProperty('--escape-y', `${dy}px`);
     tile.classList.add('lobster-escape');
 
-    // Wait for animation to complete, then reset
+    this.announce('Theich an giomach!');
+
+    // Wait for animation to complete, then reset (or carry on if other lobsters are still free)
     setTimeout(() => {
-      this.isEscaping = false;
+      lobster.status = 'escaped';
+      this.isEscaping = this.lobsters.some(other => other.status === 'escaping');
       this.isOnEdge = false;
-      this.reset();
+      if (this.getFreeLobsters().length === 0 && !this.isEscaping) {
+        this.reset();
+      }
       this.render();
+      this.updateActionButtons();
     }, 1600); // Slightly longer than 1.5s animation to ensure it completes
   }
 }
 
+// ==========================================================
+// SWITCH SCANNING FOR GAME 1
+// ==========================================================
+// Single-switch play: rows light up one after another, pressing the switch
+// (Enter or Space - what most switch interfaces send) picks the row, then
+// the free tiles in that row light up in turn and a second press drops a
+// rock there. If no tile is picked the scan goes back to the rows.
+// Turned on with ?scan=1, speed with ?scanInterval=<ms>
+// ==========================================================
+class HexBoardScanner {
+  constructor(board, interval = 1500) {
+    this.board = board;
+    this.interval = interval;
+    this.mode = 'rows';  // 'rows' or 'tiles'
+    this.row = 0;
+    this.tileIndex = 0;
+    this.timerId = null;
+    this.handleKey = this.handleKey.bind(this);
+  }
+
+  start() {
+    this.timerId = setInterval(() => this.tick(), this.interval);
+    document.addEventListener('keydown', this.handleKey);
+    this.highlight();
+  }
+
+  stop() {
+    if (this.timerId) clearInterval(this.timerId);
+    this.timerId = null;
+    document.removeEventListener('keydown', this.handleKey);
+  }
+
+  // Scanning waits while the lobster moves or the game is paused
+  isBoardBusy() {
+    const board = this.board;
+    return board.gameOver || board.isAnimating || board.isEscaping || board.isOnEdge || board.controller.gamePaused;
+  }
+
+  getFreeTilesInRow(row) {
+    const tiles = [];
+    for (let x = 0; x < this.board.gridWidth; x++) {
+      const key = `${x},${row}`;
+      if (!this.board.blockedSet.has(key) && !this.board.isLobsterAt(key)) tiles.push(x);
+    }
+    return tiles;
+  }
+
+  tick() {
+    if (this.board.controller.currentState !== 'GAME1' || this.board.controller.game1Board !== this.board) {
+      this.board.stopScanning();
+      return;
+    }
+    if (this.isBoardBusy()) return;
+
+    if (this.mode === 'rows') {
+      this.row = (this.row + 1) % this.board.gridHeight;
+    } else {
+      this.tileIndex++;
+      if (this.tileIndex >= this.getFreeTilesInRow(this.row).length) {
+        this.mode = 'rows';
+      }
+    }
+    this.highlight();
+  }
+
+  handleKey(e) {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    // Leave real buttons (pause, undo...) to do their own thing
+    if (e.target && e.target.closest && e.target.closest('button, .pause-modal')) return;
+    e.preventDefault();
+    if (this.isBoardBusy()) return;
+
+    if (this.mode === 'rows') {
+      if (this.getFreeTilesInRow(this.row).length === 0) return;
+      this.mode = 'tiles';
+      this.tileIndex = 0;
+    } else {
+      const x = this.getFreeTilesInRow(this.row)[this.tileIndex];
+      this.mode = 'rows';
+      if (x !== undefined) {
+        this.board.focusKey = `${x},${this.row}`;
+        this.board.clickHexTile(x, this.row);
+      }
+    }
+    this.restartTimer();
+    this.highlight();
+  }
+
+  // A press starts the next step with a full interval rather than part of one
+  restartTimer() {
+    if (this.timerId) clearInterval(this.timerId);
+    this.timerId = setInterval(() => this.tick(), this.interval);
+  }
+
+  isHighlighted(x, y) {
+    if (y !== this.row) return false;
+    if (this.mode === 'rows') return true;
+    return this.getFreeTilesInRow(this.row)[this.tileIndex] === x;
+  }
+
+  highlight() {
+    document.querySelectorAll('#game1-board .hex-tile').forEach(tile => {
+      const [x, y] = tile.dataset.pos.split(',').map(Number);
+      tile.classList.toggle('scan-highlight', this.isHighlighted(x, y));
+    });
+  }
+}
+
 // ==========================================================
 // GAME 2: CARD MATCHING GAME
 // ==========================================================
@@ -2349,9 +4421,12 @@ class CardMatchingGame {
     this.moves = 0;               // Number of valid moves made
     this.isProcessing = false;    // Prevents clicking during card flip/match checking
     this.totalPairs = 6;          // 6 pairs = 12 cards total
+    this.tweeds = [];             // Tweed pattern (1-9) on the back of each card
+    this.random = controller.random.fork('game2');  // Seeded - same seed, same layout
   }
 
-  render() {
+  // savedProgress (from getProgress) rebuilds the same layout after a reload
+  render(savedProgress = null) {
     const board = document.getElementById('game2-board');
     if (!board) {
       console.warn('Game 2 board element not found');
@@ -2367,18 +4442,29 @@ class CardMatchingGame {
       { name: 'Sgadan', src: './svgs/game-2/card-items/herring.svg' }
     ];
 
-    this.cards = [...cardImages, ...cardImages].sort(() => Math.random() - 0.5);
+    if (savedProgress) {
+      this.cards = savedProgress.cards.map(name => cardImages.find(card => card.name === name));
+      this.tweeds = savedProgress.tweeds.slice();
+      this.matched = new Set(savedProgress.matched);
+      this.moves = savedProgress.moves;
+      this.attempts = savedProgress.attempts;
+    } else {
+      this.cards = this.random.shuffle([...cardImages, ...cardImages]);
+      // Random tweed pattern for each card (1-9)
+      this.tweeds = this.cards.map(() => this.random.int(9) + 1);
+    }
 
     // Use template string for faster rendering
     const cardsHTML = this.cards.map((card, index) => {
-      // Random tweed pattern for each card (1-9)
-      const tweedNumber = Math.floor(Math.random() * 9) + 1;
+      const tweedNumber = this.tweeds[index];
+      const isMatched = this.matched.has(index);
       return `
-      <div class="card"
+      <div class="card${isMatched ? ' flipped matched' : ''}"
            data-index="${index}"
            role="button"
            tabindex="0"
-           aria-label="Cairt ${index + 1} - falaichte">
+           ${isMatched ? 'aria-disabled="true"' : ''}
+           aria-label="Cairt ${index + 1} - ${isMatched ? `${card.name} - air a mhaidseadh` : 'falaichte'}">
         <div class="card-inner">
           <div class="card-face card-back">
             <img src="./svgs/game-2/tweeds/tweed-${tweedNumber}.svg" alt="Cùl na cairt" loading="lazy">
@@ -2428,6 +4514,7 @@ class CardMatchingGame {
     if (!cardEl) return;
 
     this.flipped.add(index);
+    this.controller.logEvent('card_flipped', { index: index, card: this.cards[index].name });
     cardEl.classList.add('flipped');
     cardEl.setAttribute('aria-label', `Cairt ${index + 1} - ${this.cards[index].name}`);
 
@@ -2438,6 +4525,17 @@ class CardMatchingGame {
     }
   }
 
+  // Card layout and matched pairs, saved in the session checkpoint
+  getProgress() {
+    return {
+      cards: this.cards.map(card => card.name),
+      tweeds: this.tweeds.slice(),
+      matched: Array.from(this.matched),
+      moves: this.moves,
+      attempts: this.attempts
+    };
+  }
+
   updateMoves() {
     const movesCounter = document.getElementById('moves-counter');
     if (movesCounter) {
@@ -2462,8 +4560,16 @@ class CardMatchingGame {
     this.isProcessing = true;
     const [index1, index2] = Array.from(this.flipped);
     const cards = document.querySelectorAll('.card');
+    const isMatch = this.cards[index1].name === this.cards[index2].name;
+
+    this.controller.logEvent('cards_compared', {
+      first: { index: index1, card: this.cards[index1].name },
+      second: { index: index2, card: this.cards[index2].name },
+      match: isMatch,
+      moves: this.moves
+    });
 
-    if (this.cards[index1].name === this.cards[index2].name) {
+    if (isMatch) {
       // Match found! 🎉
       setTimeout(() => {
         this.matched.add(index1);
@@ -2524,7 +4630,7 @@ class CardMatchingGame {
     if (pairsFound === 1) return "A' chiad phaidhir! Math thu! 🌟";
     if (pairsFound === this.totalPairs - 1) return 'Aon phaidhir eile! 💪';
 
-    return messages[Math.floor(Math.random() * messages.length)];
+    return this.random.pick(messages);
   }
 
   animateStoneTocairn(cardElement) {
@@ -2563,7 +4669,7 @@ class CardMatchingGame {
     if (!cairn) {
       console.warn('Cairn element not found');
       stone.remove();
-      this.controller.addPointToCairn();
+      this.controller.addPointToCairn('game2', 'pair_matched');
       return;
     }
 
@@ -2584,7 +4690,7 @@ class CardMatchingGame {
       cairn.classList.add('pulsing');
       setTimeout(() => cairn.classList.remove('pulsing'), 800);
 
-      this.controller.addPointToCairn();
+      this.controller.addPointToCairn('game2', 'pair_matched');
 
       const counter = document.getElementById('points-counter');
       if (counter) {
@@ -2595,6 +4701,8 @@ class CardMatchingGame {
   }
 
   gameComplete() {
+    this.controller.logEvent('game2_complete', { moves: this.moves });
+
     let compliment = 'Sàr-mhath!';
     if (this.moves <= 8) {
       compliment = 'Air leth! Tha cuimhne sgoinneil agad! 🌟';
@@ -2605,7 +4713,7 @@ class CardMatchingGame {
     this.showFeedback(`${compliment} Lorg thu na paidhrichean uile ann an ${this.moves} gluasadan!`, 'success');
 
     setTimeout(() => {
-      this.controller.setGameFlowState('GAME3_READY');
+      this.controller.advanceFlow();
     }, 3000);
   }
 
@@ -2639,7 +4747,7 @@ class CardMatchingGame {
 // Combo system rewards consecutive correct catches
 // Milestone bonuses at 5, 10, 15 combo streaks
 // Also collect garbage for bonus points
-// 135 second time limit (2 mins 15 secs)
+// 3 minute time limit by default (game3Time in GameSettings)
 // Point values carefully balanced to keep totals under 300 across all 3 games
 // ==========================================================
 
@@ -2647,13 +4755,22 @@ class Game3FishingGame {
   constructor(controller) {
     this.controller = controller;  // Reference to main controller
 
+    // ===== RANDOMNESS =====
+    // Orders and spawns come from the session seed so a session can be replayed.
+    // Per-frame swimming wobble gets its own stream - it depends on frame rate,
+    // and mustn't shift which fish spawn next. (Bubbles and ink are just
+    // decoration and still use Math.random)
+    this.random = controller.random.fork('game3');
+    this.motionRandom = controller.random.fork('game3-motion');
+
     // ===== GAME STATE =====
     this.gameActive = false;  // Is the game currently running?
     this.isPaused = false;    // Pause state
 
     // ===== TIMING =====
-    // Originally was 180s (3 mins) but reduced for better pacing
-    this.timeRemaining = 135;  // 2 minutes 15 seconds
+    // Length and zone times come from the settings (see GameSettings)
+    this.settings = controller.settings;
+    this.timeRemaining = this.settings.get('game3Time');  // 180s (3 mins) by default
     this.elapsedTime = 0;      // Tracks how long game has been running
     this.currentDepth = 'SHALLOW';  // Starts shallow, goes deeper over time
 
@@ -2751,6 +4868,7 @@ class Game3FishingGame {
   // - size: visual size in pixels
   // - spawnWeight: how likely it is to spawn (higher = more common)
   // - special flags: isShoaling, isDarting, isWavy, isFloater, etc.
+  // - onlyLast: only spawns in the last this-many seconds of the game
   //
   // IMPORTANT: Point values have been carefully rebalanced to prevent students
   // from going over 300 total points across all 3 games. Don't increase these
@@ -2791,21 +4909,42 @@ class Game3FishingGame {
       cat_mara: { id: 'cat_mara', svg: './svgs/game-3/game-3-fish/cat-mara-R.svg', zone: 'DEEP', direction: 'R', basePoints: 18, speed: 9.0, size: 230, spawnWeight: 3, isValid: true },
       manach: { id: 'manach', svg: './svgs/game-3/game-3-fish/mànach.svg', zone: 'DEEP', direction: 'R', basePoints: 22, speed: 8.0, size: 250, spawnWeight: 3, isValid: true },
       muc_mara: { id: 'muc_mara', svg: './svgs/game-3/game-3-fish/muc-mara-R.svg', zone: 'DEEP', direction: 'R', basePoints: 28, speed: 7.5, size: 280, spawnWeight: 2, isValid: true },
-      tuna: { id: 'tuna', svg: './svgs/game-3/game-3-fish/tùna-L.svg', zone: 'DEEP', direction: 'L', basePoints: 50, speed: 10.0, size: 300, spawnWeight: 1, isValid: true, onlyAfter: 150 }
+      tuna: { id: 'tuna', svg: './svgs/game-3/game-3-fish/tùna-L.svg', zone: 'DEEP', direction: 'L', basePoints: 50, speed: 10.0, size: 300, spawnWeight: 1, isValid: true, onlyLast: 30 }
     };
   }
 
-  init() {
+  // savedProgress (from getProgress) carries on after a reload
+  init(savedProgress = null) {
     this.gameActive = true;
-    this.timeRemaining = 180;
+    this.timeRemaining = this.settings.get('game3Time');
     this.elapsedTime = 0;
-    this.updateZone('SHALLOW');
+    if (savedProgress) {
+      this.timeRemaining = savedProgress.timeRemaining;
+      this.elapsedTime = savedProgress.elapsedTime;
+      this.correctCatches = savedProgress.correctCatches;
+      this.totalAttempts = savedProgress.totalAttempts;
+      this.points = savedProgress.points;
+    }
+    this.updateZone(savedProgress ? savedProgress.zone : 'SHALLOW');
     this.generateNewOrder(); // Start with first order
     this.startTimerLoop();
     this.startGameLoop();
   }
 
-  generateNewOrder() {
+  // Timer, zone and accuracy so far, saved in the session checkpoint
+  getProgress() {
+    return {
+      timeRemaining: this.timeRemaining,
+      elapsedTime: this.elapsedTime,
+      zone: this.currentDepth,
+      correctCatches: this.correctCatches,
+      totalAttempts: this.totalAttempts,
+      points: this.points
+    };
+  }
+
+  // forcedFish is only passed in from the debug overlay
+  generateNewOrder(forcedFish = null) {
     // Always generate fish orders (no phrase orders)
     // Pick a random valid fish from current zone (not welly)
     const validFish = Object.keys(this.fishManifest).filter(key => {
@@ -2813,12 +4952,13 @@ class Game3FishingGame {
       return fish.isValid && fish.zone === this.currentDepth;
     });
 
-    const targetFish = validFish[Math.floor(Math.random() * validFish.length)];
+    const targetFish = forcedFish || validFish[Math.floor(this.random.next() * validFish.length)];
 
     this.currentOrder = {
       type: 'fish',
       target: targetFish
     };
+    this.controller.logEvent('fish_order', { target: targetFish, zone: this.currentDepth });
 
     this.updateOrderDisplay();
 
@@ -2826,7 +4966,7 @@ class Game3FishingGame {
     this.spawnOrderedFish(targetFish);
 
     // Randomize next order change time (8-15 seconds)
-    this.orderChangeInterval = 8000 + Math.random() * 7000;
+    this.orderChangeInterval = 8000 + this.random.next() * 7000;
     this.lastOrderChange = Date.now();
   }
 
@@ -2877,18 +5017,20 @@ class Game3FishingGame {
       this.elapsedTime++;
       this.controller.timeRemaining = this.timeRemaining;
       this.controller.updateGame1TimerDisplay();
-
-      // HCI: Zone warnings (5 seconds before transition)
-      if (this.elapsedTime === 40 && this.currentDepth === 'SHALLOW') {
-        this.showZoneWarning('MID_DEPTH', 5);
-      } else if (this.elapsedTime === 85 && this.currentDepth === 'MID_DEPTH') {
-        this.showZoneWarning('DEEP', 5);
+      this.controller.saveCheckpointSoon();
+
+      // HCI: Zone warnings (5 seconds before transition by default)
+      const { zoneMidDepth, zoneDeep, zoneWarning } = this.settings.getAll();
+      if (this.elapsedTime === zoneMidDepth - zoneWarning && this.currentDepth === 'SHALLOW') {
+        this.showZoneWarning('MID_DEPTH', zoneWarning);
+      } else if (this.elapsedTime === zoneDeep - zoneWarning && this.currentDepth === 'MID_DEPTH') {
+        this.showZoneWarning('DEEP', zoneWarning);
       }
 
-      // HCI: Faster zone transitions (45s and 90s instead of 60s and 120s)
-      if (this.elapsedTime === 45 && this.currentDepth !== 'MID_DEPTH') {
+      // HCI: Faster zone transitions (45s and 90s by default instead of 60s and 120s)
+      if (this.elapsedTime === zoneMidDepth && this.currentDepth !== 'MID_DEPTH') {
         this.transitionZone('MID_DEPTH');
-      } else if (this.elapsedTime === 90 && this.currentDepth !== 'DEEP') {
+      } else if (this.elapsedTime === zoneDeep && this.currentDepth !== 'DEEP') {
         this.transitionZone('DEEP');
       }
 
@@ -2939,7 +5081,7 @@ class Game3FishingGame {
 
   // ===== DEPTH ZONE TRANSITIONS =====
   // As the game progresses, you "descend" deeper into the ocean
-  // SHALLOW (0-45s) → MID_DEPTH (45-90s) → DEEP (90-135s)
+  // SHALLOW (0-45s) → MID_DEPTH (45-90s) → DEEP (90-180s) with the default settings
   // Each zone has different fish species and difficulty
   // Transitions are animated to feel natural rather than jarring
   transitionZone(newZone) {
@@ -2959,6 +5101,7 @@ class Game3FishingGame {
     canvas.style.opacity = '0.5';
     setTimeout(() => {
       // Actually change the zone
+      this.controller.logEvent('zone_changed', { from: this.currentDepth, to: newZone, elapsed: this.elapsedTime });
       this.updateZone(newZone);
 
       // IMPORTANT: Change the fish order immediately
@@ -3037,28 +5180,28 @@ class Game3FishingGame {
     const validFish = Object.values(this.fishManifest).filter(f => {
       // Garbage can appear at any time
       if (f.zone === 'GARBAGE') {
-        return Math.random() < 0.25; // 25% chance to include garbage
+        return this.random.next() < 0.25; // 25% chance to include garbage
       }
 
       // Always include fish from current zone
       if (f.zone === this.currentDepth) {
-        if (f.onlyAfter && this.elapsedTime < f.onlyAfter) return false;
+        if (f.onlyLast && this.timeRemaining > f.onlyLast) return false;
         return true;
       }
 
       // In MID_DEPTH, allow 55% chance of SHALLOW fish as distractions
       if (this.currentDepth === 'MID_DEPTH' && f.zone === 'SHALLOW') {
-        return Math.random() < 0.55;
+        return this.random.next() < 0.55;
       }
 
       // In DEEP, allow 55% chance of MID_DEPTH fish as distractions
       if (this.currentDepth === 'DEEP' && f.zone === 'MID_DEPTH') {
-        return Math.random() < 0.55;
+        return this.random.next() < 0.55;
       }
 
       // In DEEP, also allow 30% chance of SHALLOW fish for maximum variety
       if (this.currentDepth === 'DEEP' && f.zone === 'SHALLOW') {
-        return Math.random() < 0.3;
+        return this.random.next() < 0.3;
       }
 
       return false;
@@ -3068,7 +5211,7 @@ class Game3FishingGame {
 
     // Weighted random selection
     const totalWeight = validFish.reduce((sum, f) => sum + f.spawnWeight, 0);
-    let random = Math.random() * totalWeight;
+    let random = this.random.next() * totalWeight;
     let selectedFish = validFish[0];
 
     for (const fish of validFish) {
@@ -3087,14 +5230,14 @@ class Game3FishingGame {
       // After 5 seconds: Skip 40% (moderate challenge)
       const skipRate = timeSinceOrder < 5000 ? 0.2 : 0.4;
 
-      if (Math.random() < skipRate) {
+      if (this.random.next() < skipRate) {
         return; // Skip spawning to maintain some scarcity
       }
     }
 
     // Shoaling behaviour: Spawn shrimp in groups
     if (selectedFish.isShoaling) {
-      const shoalSize = 3 + Math.floor(Math.random() * 3); // 3-5 shrimp
+      const shoalSize = 3 + Math.floor(this.random.next() * 3); // 3-5 shrimp
       for (let i = 0; i < shoalSize; i++) {
         setTimeout(() => {
           this.createFishElement(selectedFish, i, shoalSize);
@@ -3127,7 +5270,7 @@ class Game3FishingGame {
     // L in filename = travels LEFT to RIGHT (spawn left, positive speed)
     let dir = fishData.direction;
     if (dir === 'EITHER') {
-      dir = Math.random() < 0.5 ? 'L' : 'R';
+      dir = this.random.next() < 0.5 ? 'L' : 'R';
     }
 
     const canvasRect = canvas.getBoundingClientRect();
@@ -3141,13 +5284,13 @@ class Game3FishingGame {
 
     let verticalPos;
     let actualSpeed;
-    let speedVariation = (Math.random() - 0.5) * 2; // +/- 1.0
+    let speedVariation = (this.random.next() - 0.5) * 2; // +/- 1.0
 
     if (isFloater) {
       // All garbage items float upward from bottom to top
-      fish.style.left = `${Math.random() * (canvasRect.width - 100)}px`;
+      fish.style.left = `${this.random.next() * (canvasRect.width - 100)}px`;
       verticalPos = canvasRect.height + 50; // Start below screen
-      actualSpeed = -(2 + Math.random()); // Negative = upward movement (will be applied to Y)
+      actualSpeed = -(2 + this.random.next()); // Negative = upward movement (will be applied to Y)
     } else if (isBottomDweller) {
       // Lobsters and crabs crawl along the very bottom
       // Starting position based on direction
@@ -3180,20 +5323,20 @@ class Game3FishingGame {
       }
     } else if (fishData.isMultiDirectional) {
       // Multi-directional fish (squids/jellyfish) - start from bottom or sides
-      const spawnPosition = Math.floor(Math.random() * 3); // 0=bottom, 1=left side, 2=right side
+      const spawnPosition = Math.floor(this.random.next() * 3); // 0=bottom, 1=left side, 2=right side
 
       if (spawnPosition === 0) {
         // Spawn from bottom
-        fish.style.left = `${Math.random() * (canvasRect.width - 100)}px`;
+        fish.style.left = `${this.random.next() * (canvasRect.width - 100)}px`;
         verticalPos = canvasRect.height + 50; // Start below screen
       } else if (spawnPosition === 1) {
         // Spawn from left side
         fish.style.left = '-120px';
-        verticalPos = 200 + Math.random() * (canvasRect.height - 300); // Middle area
+        verticalPos = 200 + this.random.next() * (canvasRect.height - 300); // Middle area
       } else {
         // Spawn from right side
         fish.style.left = `${canvasRect.width + 20}px`;
-        verticalPos = 200 + Math.random() * (canvasRect.height - 300);
+        verticalPos = 200 + this.random.next() * (canvasRect.height - 300);
       }
 
       // Normal speed for multi-directional movement
@@ -3210,7 +5353,7 @@ class Game3FishingGame {
           (fishData.zone === 'MID_DEPTH' || fishData.zone === 'DEEP')) {
 
         // Spawn from bottom centre area, swimming upward initially
-        fish.style.left = `${canvasRect.width * 0.3 + Math.random() * (canvasRect.width * 0.4)}px`;
+        fish.style.left = `${canvasRect.width * 0.3 + this.random.next() * (canvasRect.width * 0.4)}px`;
         verticalPos = canvasRect.height + 100; // Start below screen
 
         // Mark fish as emerging from depths with fade-in effect
@@ -3228,11 +5371,11 @@ class Game3FishingGame {
         }
 
         if (fishData.isShoaling && shoalSize > 1) {
-          const baseY = topMargin + Math.random() * Math.max(100, availableHeight);
+          const baseY = topMargin + this.random.next() * Math.max(100, availableHeight);
           const offset = (shoalIndex - shoalSize / 2) * 40;
           verticalPos = Math.max(topMargin, Math.min(baseY + offset, canvasRect.height - fishSize - bottomMargin));
         } else {
-          verticalPos = topMargin + Math.random() * Math.max(100, availableHeight);
+          verticalPos = topMargin + this.random.next() * Math.max(100, availableHeight);
         }
       }
 
@@ -3283,11 +5426,11 @@ class Game3FishingGame {
       isDarting: fishData.isDarting || false,
       isEmerging: fish.dataset.emerging === 'true',
       rotation: 0,
-      wavyOffset: Math.random() * Math.PI * 2, // Random start phase
+      wavyOffset: this.random.next() * Math.PI * 2, // Random start phase
       direction: dir,
       baseScale: 1.0,
       // Crab-specific timid behaviour
-      crabPhase: Math.random() * Math.PI * 2, // Random start phase for side-to-side
+      crabPhase: this.random.next() * Math.PI * 2, // Random start phase for side-to-side
       crabTimer: 0,
       crabPauseTime: 0, // Track pause duration
       // Multi-directional movement timers
@@ -3437,15 +5580,15 @@ class Game3FishingGame {
         // Initialize movement variables if not set
         if (!fish.multidirTimer) {
           fish.multidirTimer = 0;
-          fish.multidirPhase = Math.floor(Math.random() * 4); // 0=up, 1=down, 2=diagonal-up, 3=diagonal-down
+          fish.multidirPhase = Math.floor(this.motionRandom.next() * 4); // 0=up, 1=down, 2=diagonal-up, 3=diagonal-down
         }
 
         fish.multidirTimer++;
 
         // Change direction every 60-120 frames
-        if (fish.multidirTimer > 60 + Math.random() * 60) {
+        if (fish.multidirTimer > 60 + this.motionRandom.next() * 60) {
           fish.multidirTimer = 0;
-          fish.multidirPhase = Math.floor(Math.random() * 4);
+          fish.multidirPhase = Math.floor(this.motionRandom.next() * 4);
         }
 
         // Tentacles at bottom, head at top - always swim head-first (upward bias)
@@ -3498,8 +5641,8 @@ class Game3FishingGame {
         fish.scurryTimer++;
 
         // Random speed bursts every 10-20 frames
-        if (fish.scurryTimer % (10 + Math.floor(Math.random() * 10)) === 0) {
-          fish.scurrySpeed = fish.speed * (0.5 + Math.random() * 1.5); // 0.5x to 2x speed
+        if (fish.scurryTimer % (10 + Math.floor(this.motionRandom.next() * 10)) === 0) {
+          fish.scurrySpeed = fish.speed * (0.5 + this.motionRandom.next() * 1.5); // 0.5x to 2x speed
         }
 
         // Quick jittery movement
@@ -3507,10 +5650,10 @@ class Game3FishingGame {
 
         // Erratic vertical jitter
         fish.wavyOffset += 0.25;
-        fish.y += Math.sin(fish.wavyOffset) * 4 + (Math.random() - 0.5) * 3;
+        fish.y += Math.sin(fish.wavyOffset) * 4 + (this.motionRandom.next() - 0.5) * 3;
 
         // Occasional quick dart
-        if (Math.random() < 0.05) {
+        if (this.motionRandom.next() < 0.05) {
           fish.x += fish.speed * 2;
         }
 
@@ -3610,8 +5753,14 @@ class Game3FishingGame {
     fishObj.caught = true;
     fishObj.caughtTime = Date.now(); // Track when caught for cleanup
 
+    const target = this.currentOrder ? this.currentOrder.target : null;
+
     // Handle garbage specially - always gives 1 point, doesn't affect combo
     if (fishObj.data.zone === 'GARBAGE') {
+      this.controller.logEvent('fish_clicked', {
+        target: target, clicked: fishObj.data.id, correct: null, garbage: true,
+        zone: this.currentDepth, elapsed: this.elapsedTime
+      });
       this.handleGarbageCatch(fishObj);
       return;
     }
@@ -3620,6 +5769,10 @@ class Game3FishingGame {
 
     // Validate against current order
     const isCorrect = this.validateCatch(fishObj);
+    this.controller.logEvent('fish_clicked', {
+      target: target, clicked: fishObj.data.id, correct: isCorrect, garbage: false,
+      zone: this.currentDepth, elapsed: this.elapsedTime
+    });
 
     if (isCorrect) {
       this.handleCorrectCatch(fishObj);
@@ -3641,8 +5794,7 @@ class Game3FishingGame {
     // Award base points only (no multipliers)
     const pointsEarned = fishObj.data.basePoints;
     this.points += pointsEarned;
-    this.controller.totalPoints += pointsEarned;
-    this.controller.updatePointsDisplayOnly();
+    this.controller.recordPoints('game3', 'correct_fish', pointsEarned);
 
     // Track consecutive correct catches
     this.correctStreakCount++;
@@ -3662,8 +5814,7 @@ class Game3FishingGame {
   handleWrongCatch(fishObj) {
     const penalty = Math.abs(fishObj.data.basePoints);
     this.points = Math.max(0, this.points - penalty);
-    this.controller.totalPoints = Math.max(0, this.controller.totalPoints - penalty);
-    this.controller.updatePointsDisplayOnly();
+    this.controller.recordPoints('game3', 'wrong_fish', -penalty);
 
     // Reset streak counter on wrong catch
     this.correctStreakCount = 0;
@@ -3743,8 +5894,7 @@ class Game3FishingGame {
     // Garbage always gives 1 point, but resets the streak
     const pointsEarned = 1;
     this.points += pointsEarned;
-    this.controller.totalPoints += pointsEarned;
-    this.controller.updatePointsDisplayOnly();
+    this.controller.recordPoints('game3', 'garbage', pointsEarned);
 
     // Reset streak counter when catching garbage
     this.correctStreakCount = 0;
@@ -3793,17 +5943,19 @@ class Game3FishingGame {
     const screen = document.querySelector('.game3-screen');
     if (!screen) return;
 
-    // Progressive dimming based on elapsed time
+    // Progressive dimming based on how much of the game has gone
+    // (seconds are for the default 180s game)
     // 0-60s: No dimming
     // 60-120s: Light dimming (20% opacity)
     // 120-150s: Medium dimming (40% opacity)
     // 150-180s: Heavy dimming (60% opacity)
+    const played = this.elapsedTime / this.settings.get('game3Time');
 
-    if (this.elapsedTime >= 150) {
+    if (played >= 5 / 6) {
       screen.className = 'game3-screen dimming-heavy';
-    } else if (this.elapsedTime >= 120) {
+    } else if (played >= 2 / 3) {
       screen.className = 'game3-screen dimming-medium';
-    } else if (this.elapsedTime >= 60) {
+    } else if (played >= 1 / 3) {
       screen.className = 'game3-screen dimming-light';
     } else {
       screen.className = 'game3-screen';
@@ -4020,7 +6172,7 @@ class Game3FishingGame {
     if (this.timerIntervalId) clearInterval(this.timerIntervalId);
 
     setTimeout(() => {
-      this.controller.setGameFlowState('RESULTS');
+      this.controller.advanceFlow();
     }, 500);
   }
 }
@@ -4403,6 +6555,9 @@ class SmartHelpSystem {
   }
 
   generateStrategiesContent() {
+    // Time phases are the first quarter, middle half and last quarter of Game 1
+    const gameTime = this.controller.settings.get('game1Time');
+    const quarter = Math.round(gameTime / 4);
     return `
       <div class="strategy-card">
         <div class="strategy-card-title">
@@ -4454,9 +6609,9 @@ class SmartHelpSystem {
           <span>Time Management</span>
         </div>
         <div class="strategy-card-content">
-          <p><strong>Early game (5:00-3:00):</strong> Take your time. Build solid, complete traps.</p>
-          <p><strong>Mid game (3:00-1:00):</strong> Speed up slightly. Aim for 1 lobster every 30-40 seconds.</p>
-          <p><strong>Late game (1:00-0:00):</strong> Go for quick catches! Use corners and edges to trap faster.</p>
+          <p><strong>Early game (${formatTimer(gameTime)}-${formatTimer(quarter * 3)}):</strong> Take your time. Build solid, complete traps.</p>
+          <p><strong>Mid game (${formatTimer(quarter * 3)}-${formatTimer(quarter)}):</strong> Speed up slightly. Aim for 1 lobster every 30-40 seconds.</p>
+          <p><strong>Late game (${formatTimer(quarter)}-0:00):</strong> Go for quick catches! Use corners and edges to trap faster.</p>
         </div>
       </div>
 
@@ -4778,12 +6933,44 @@ class SmartHelpSystem {
     const count = parseInt(localStorage.getItem('glac_lobsters_caught') || '0') + 1;
     localStorage.setItem('glac_lobsters_caught', count.toString());
     this.playerContext.lobstersCaught = count;
+    this.recordRecentLobsterResult('caught');
   }
 
   recordLobsterEscaped() {
     const count = parseInt(localStorage.getItem('glac_lobsters_escaped') || '0') + 1;
     localStorage.setItem('glac_lobsters_escaped', count.toString());
     this.playerContext.lobstersEscaped = count;
+    this.recordRecentLobsterResult('escaped');
+  }
+
+  // The totals above are for the whole tablet; adaptive difficulty needs
+  // each pupil's last few rounds, so those are kept per participant code
+  recordRecentLobsterResult(result) {
+    const code = this.controller.participantCode;
+    if (!code) return;
+
+    const recent = this.loadRecentLobsterResults();
+    const results = (recent[code] || []).concat(result);
+    recent[code] = results.slice(-GAME1_ADAPTIVE.windowSize);
+    try {
+      localStorage.setItem('glac_recent_lobsters', JSON.stringify(recent));
+    } catch (error) {
+      console.warn('Could not save recent lobster results:', error);
+    }
+  }
+
+  getRecentLobsterResults() {
+    const code = this.controller.participantCode;
+    return (code && this.loadRecentLobsterResults()[code]) || [];
+  }
+
+  loadRecentLobsterResults() {
+    try {
+      return JSON.parse(localStorage.getItem('glac_recent_lobsters') || '{}');
+    } catch (error) {
+      console.warn('Recent lobster results unreadable, starting afresh:', error);
+      return {};
+    }
   }
 
   markAsPlayed() {
@@ -4797,16 +6984,2755 @@ class SmartHelpSystem {
 }
 
 // ==========================================================
-// BOOTSTRAP / RESIZE HOOKS
+// GAME FLOW DEFINITIONS
 // ==========================================================
-let gameController;
-document.addEventListener('DOMContentLoaded', () => {
-  gameController = new GameFlowController();
-  gameController.setGameFlowState('LOGIN');
-});
+// FLOW_STATES says what every screen renders and which music it plays.
+// A GameFlow is the ordered list of states one session goes through - the
+// next state is simply the one after the current one in the list.
+// Flows are built from segments so each game keeps its own intro/tutorial
+// screens wherever it ends up in the order.
+//
+// Pick a flow with ?flow=<preset> (or GAME_CONFIG.flow), or build one with
+//   ?games=3,1      - which games, in order (game numbers or game1/game2/game3)
+//   ?tutorials=0    - leave out the tutorial screens
+// ==========================================================
+const FLOW_STATES = {
+  LOGIN: { render: 'renderLoginScreen', music: null },
+  RUAIRIDH_INTRO: { render: 'renderIntroduction_RuairidhIntro', music: 'background' },
+  PREGAME_TUTORIAL: { render: 'renderGameIntro_LayoutStep0', music: 'background', tutorial: true },
+  GAME1_TUTORIAL: { render: 'renderGame1TutorialFlow', music: 'game1Tutorial', tutorial: true },
+  GAME1: { render: 'renderGame1_Main', music: 'game1', game: 'game1' },
+  GAME2_READY: { render: 'renderInterval_TransitionToGame2', music: 'background' },
+  GAME2_TUTORIAL: { render: 'renderGame2TutorialScreen', music: 'background', tutorial: true },
+  GAME2: { render: 'renderGame2_Main', music: 'game2', game: 'game2' },
+  GAME3_READY: { render: 'renderInterval_TransitionToGame3', music: 'background' },
+  GAME3: { render: 'renderGame3_Main', music: 'game3', game: 'game3' },
+  RESULTS: { render: 'renderResultsScreen', music: 'background' },
+  RESEARCHER: { render: 'renderResearcherScreen', music: null },  // Not part of any flow
+  GAME1_PRACTICE: { render: 'renderGame1Practice', music: 'game1Tutorial' },  // Not part of any flow - opened from the Game 1 tutorial
+  GAME1_CAMPAIGN: { render: 'renderGame1Campaign', music: 'game1Tutorial' },  // Not part of any flow - opened from the Game 1 tutorial
+  BOARD_EDITOR: { render: 'renderBoardEditor', music: null },  // Not part of any flow - opened from the researcher screen
+  REPLAY_VIEWER: { render: 'renderReplayViewer', music: null }  // Not part of any flow - opened from the researcher screen
+};
+
+// The screens that belong to each part of a session
+const FLOW_SEGMENTS = {
+  intro: ['RUAIRIDH_INTRO', 'PREGAME_TUTORIAL'],
+  game1: ['GAME1_TUTORIAL', 'GAME1'],
+  game2: ['GAME2_READY', 'GAME2_TUTORIAL', 'GAME2'],
+  game3: ['GAME3_READY', 'GAME3'],
+  results: ['RESULTS']
+};
+
+// Named study conditions
+const GAME_FLOW_PRESETS = {
+  standard: { games: ['game1', 'game2', 'game3'], tutorials: true },
+  'no-tutorials': { games: ['game1', 'game2', 'game3'], tutorials: false },
+  'game3-first': { games: ['game3', 'game1', 'game2'], tutorials: true },
+  'game1-only': { games: ['game1'], tutorials: true },
+  'game2-only': { games: ['game2'], tutorials: true },
+  'game3-only': { games: ['game3'], tutorials: true }
+};
+
+class GameFlow {
+  constructor(name, states, condition = null) {
+    this.name = name;
+    this.states = states;
+    this.condition = condition;  // Set when the order came from counterbalancing
+  }
+
+  // Always starts at LOGIN and ends at RESULTS; tutorials can be dropped
+  static fromGames(name, games, tutorials = true, condition = null) {
+    const segments = ['intro', ...games, 'results'];
+    const states = ['LOGIN'];
+    segments.forEach(segment => {
+      FLOW_SEGMENTS[segment].forEach(state => {
+        if (tutorials || !FLOW_STATES[state].tutorial) states.push(state);
+      });
+    });
+    return new GameFlow(name, states, condition);
+  }
 
-window.addEventListener('resize', () => {
-  if (gameController && gameController.game1Board && gameController.currentState === 'GAME1') {
-    gameController.game1Board.render();
+  includes(state) {
+    return this.states.includes(state);
   }
+
+  getNext(state) {
+    const index = this.states.indexOf(state);
+    return index === -1 ? null : (this.states[index + 1] || null);
+  }
+
+  // Only lets you go back to a screen that isn't a game (or the login) -
+  // a finished game can't be replayed by pressing "Air ais"
+  getPrevious(state) {
+    const index = this.states.indexOf(state);
+    if (index <= 0) return null;
+    const previous = this.states[index - 1];
+    if (previous === 'LOGIN' || FLOW_STATES[previous].game) return null;
+    return previous;
+  }
+
+  // Games in the order this flow plays them
+  getGames() {
+    return this.states
+      .filter(state => FLOW_STATES[state].game)
+      .map(state => FLOW_STATES[state].game);
+  }
+
+  // Stored on the session record (and used to rebuild the flow on resume)
+  describe() {
+    return { name: this.name, states: this.states.slice(), condition: this.condition };
+  }
+}
+
+// Builds this session's flow from config. Unknown names fall back to standard.
+// An explicit ?flow= or ?games= always wins; otherwise, when counterbalancing
+// is switched on, the participant code picks the game order (see STUDY CONDITIONS)
+function createGameFlow(participantCode = null) {
+  const gamesOption = getConfigOption('games');
+  const tutorialsOption = getConfigOption('tutorials');
+  const flowOption = getConfigOption('flow');
+
+  if (participantCode && !flowOption && !gamesOption) {
+    const condition = assignCondition(participantCode);
+    if (condition) {
+      const tutorials = tutorialsOption === null || !['0', 'false', 'no'].includes(String(tutorialsOption).toLowerCase());
+      return GameFlow.fromGames(`condition-${condition.id}${tutorials ? '' : ':no-tutorials'}`, condition.games, tutorials, condition);
+    }
+  }
+
+  let name = flowOption || 'standard';
+  let preset = GAME_FLOW_PRESETS[name];
+
+  if (!preset) {
+    console.warn(`Unknown game flow "${name}", using standard`);
+    name = 'standard';
+    preset = GAME_FLOW_PRESETS.standard;
+  }
+
+  let games = preset.games;
+  let tutorials = preset.tutorials;
+
+  if (gamesOption) {
+    const requested = (Array.isArray(gamesOption) ? gamesOption : String(gamesOption).split(','))
+      .map(game => String(game).trim().toLowerCase())
+      .map(game => (/^[123]$/.test(game) ? `game${game}` : game))
+      .filter(game => FLOW_SEGMENTS[game] && game.startsWith('game'));
+    if (requested.length > 0) {
+      games = requested;
+      name = `custom:${requested.join(',')}`;
+    }
+  }
+
+  if (tutorialsOption !== null) {
+    tutorials = !['0', 'false', 'no'].includes(String(tutorialsOption).toLowerCase());
+    if (!tutorials && preset.tutorials) name = `${name}:no-tutorials`;
+  }
+
+  return GameFlow.fromGames(name, games, tutorials);
+}
+
+// ==========================================================
+// STUDY CONDITIONS (COUNTERBALANCING)
+// ==========================================================
+// Order effects between the three games matter for the data, so each
+// participant code is assigned to one row of a Latin square of game orders.
+// The game's intro/tutorial screens travel with it (see FLOW_SEGMENTS).
+//
+// Switch on with ?counterbalance= (or GAME_CONFIG.counterbalance):
+//   'latin'    - 3 orders; every game appears once in every position
+//   'williams' - 6 orders; also balances which game follows which
+// conditionFrom='number' assigns by the number in the code (P001, P002...)
+// so consecutive codes rotate evenly; the default hashes the whole code.
+// ?condition=B forces a condition for one session
+// ==========================================================
+const CONDITION_SQUARES = {
+  latin: [
+    ['game1', 'game2', 'game3'],
+    ['game2', 'game3', 'game1'],
+    ['game3', 'game1', 'game2']
+  ],
+  williams: [
+    ['game1', 'game2', 'game3'],
+    ['game2', 'game3', 'game1'],
+    ['game3', 'game1', 'game2'],
+    ['game3', 'game2', 'game1'],
+    ['game1', 'game3', 'game2'],
+    ['game2', 'game1', 'game3']
+  ]
+};
+
+// FNV-1a - small, stable and the same in every browser
+function hashParticipantCode(code) {
+  let hash = 0x811c9dc5;
+  const text = String(code).toUpperCase();
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Returns { id, index, scheme, games } or null when counterbalancing is off
+function assignCondition(participantCode) {
+  const scheme = getConfigOption('counterbalance');
+  const rows = CONDITION_SQUARES[scheme];
+  if (!rows) {
+    if (scheme) console.warn(`Unknown counterbalance scheme "${scheme}", using the flow instead`);
+    return null;
+  }
+
+  let index;
+  const forced = getConfigOption('condition');
+  if (forced) {
+    index = String(forced).toUpperCase().charCodeAt(0) - 65;  // 'A' -> 0
+  } else if (getConfigOption('conditionFrom') === 'number' && /[0-9]/.test(participantCode)) {
+    let digits = String(participantCode).replace(/[^0-9]/g, '');
+    // The check digit would skew the rotation, so leave it out
+    if (getConfigOption('codeChecksum') === 'luhn' && digits.length > 1) digits = digits.slice(0, -1);
+    index = parseInt(digits, 10) % rows.length;
+  } else {
+    index = hashParticipantCode(participantCode) % rows.length;
+  }
+
+  if (!(index >= 0 && index < rows.length)) {
+    console.warn(`Condition "${forced}" doesn't exist for ${scheme}, using condition A`);
+    index = 0;
+  }
+
+  return {
+    id: String.fromCharCode(65 + index),
+    index: index,
+    scheme: scheme,
+    games: rows[index].slice()
+  };
+}
+
+// ==========================================================
+// GAME 1 DIFFICULTY PRESETS
+// ==========================================================
+// Chosen with ?difficulty=easy|medium|hard (or GAME_CONFIG.difficulty)
+//   gridWidth/gridHeight - board size; bigger gives more room to build a wall
+//   rockDensity          - share of squares that start with a rock (more = easier)
+//   lobsterStart         - 'centre', 'near-centre' or 'random' (see spawnLobster)
+//   rocksNextToStart     - whether starting rocks may touch the lobster
+//   minEscapeSteps       - shortest escape the board must have (see generateRound).
+//                          Keep it no more than the centre's distance to the edge
+//   lobsterStrategy      - how the lobster moves (see LOBSTER_STRATEGIES);
+//                          ?lobster=<name> overrides it for every difficulty
+//   lobsterCount         - lobsters on the board at once; ?lobsters=<n> overrides it
+// 'medium' is the original board: 11x10, 15% rocks, lobster in the centre
+// ==========================================================
+const GAME1_DIFFICULTIES = {
+  easy: { gridWidth: 13, gridHeight: 11, rockDensity: 0.2, lobsterStart: 'centre', rocksNextToStart: true, minEscapeSteps: 5, lobsterStrategy: 'beginner' },
+  medium: { gridWidth: 11, gridHeight: 10, rockDensity: 0.15, lobsterStart: 'centre', rocksNextToStart: true, minEscapeSteps: 4, lobsterStrategy: 'shortest' },
+  hard: { gridWidth: 9, gridHeight: 9, rockDensity: 0.08, lobsterStart: 'near-centre', rocksNextToStart: false, minEscapeSteps: 3, lobsterStrategy: 'lookahead' },
+  advanced: { gridWidth: 13, gridHeight: 11, rockDensity: 0.12, lobsterStart: 'near-centre', rocksNextToStart: false, minEscapeSteps: 3, lobsterStrategy: 'shortest', lobsterCount: 2 }
+};
+
+// How hard generateRound tries for a board findLayoutSolution can win. Each
+// check can take about 0.4s, and sparse boards against a clever lobster
+// (hard, advanced) often can't be won at all - so after each failed check
+// the next board gets densityStep more rocks
+const GAME1_BOARD_CHECKS = {
+  maxSolverChecks: 6,
+  densityStep: 0.05,
+  maxRockDensity: 0.4
+};
+
+function getGame1DifficultyName() {
+  const name = getConfigOption('difficulty', 'medium');
+  if (!GAME1_DIFFICULTIES[name]) {
+    console.warn(`Unknown Game 1 difficulty "${name}", using medium`);
+    return 'medium';
+  }
+  return name;
+}
+
+function getLobsterStrategyName(difficultyName) {
+  const override = getConfigOption('lobster');
+  if (override && LOBSTER_STRATEGIES[override]) return override;
+  if (override) console.warn(`Unknown lobster strategy "${override}", using the difficulty's`);
+  return GAME1_DIFFICULTIES[difficultyName].lobsterStrategy;
+}
+
+function getLobsterCount(difficultyName) {
+  const override = parseInt(getConfigOption('lobsters'), 10);
+  if (override >= 1 && override <= 4) return override;
+  return GAME1_DIFFICULTIES[difficultyName].lobsterCount || 1;
+}
+
+// ==========================================================
+// GAME 1 ADAPTIVE DIFFICULTY
+// ==========================================================
+// Each new round's rock density and lobster start are nudged from the
+// difficulty preset using the pupil's last few rounds (see
+// SmartHelpSystem.getRecentLobsterResults): pupils who keep losing the
+// lobster get more rocks and a centred lobster, pupils who catch almost
+// every one get fewer rocks and a lobster that can start anywhere.
+// Off unless asked for with ?adaptive=1 (or GAME_CONFIG.adaptive) - it goes
+// on results remembered on the device, so pupils sharing a tablet would
+// otherwise get different boards from each other
+// ==========================================================
+const GAME1_ADAPTIVE = {
+  windowSize: 6,        // Rounds remembered per pupil
+  minRounds: 3,         // Rounds needed before anything changes
+  densityRange: 0.1,    // Most the rock density moves either way
+  minDensity: 0.04,
+  maxDensity: 0.3,
+  struggling: 0.25,     // Catch rate at or below this - easier boards
+  confident: 0.75       // Catch rate at or above this - harder boards
+};
+
+function isGame1AdaptiveEnabled() {
+  return ['1', 'true', 'yes'].includes(String(getConfigOption('adaptive')).toLowerCase());
+}
+
+// recentResults is a list of 'caught'/'escaped', oldest first
+function getAdaptiveRoundSettings(difficulty, recentResults) {
+  const settings = {
+    rockDensity: difficulty.rockDensity,
+    lobsterStart: difficulty.lobsterStart,
+    catchRate: null,
+    adjusted: false
+  };
+  if (recentResults.length < GAME1_ADAPTIVE.minRounds) return settings;
+
+  const caught = recentResults.filter(result => result === 'caught').length;
+  const catchRate = caught / recentResults.length;
+  settings.catchRate = Math.round(catchRate * 100) / 100;
+
+  // 50% caught leaves the preset alone; all caught or all escaped moves it the full range
+  const density = difficulty.rockDensity + (0.5 - catchRate) * 2 * GAME1_ADAPTIVE.densityRange;
+  settings.rockDensity = Math.round(Math.min(GAME1_ADAPTIVE.maxDensity, Math.max(GAME1_ADAPTIVE.minDensity, density)) * 100) / 100;
+
+  if (catchRate <= GAME1_ADAPTIVE.struggling) {
+    settings.lobsterStart = 'centre';
+  } else if (catchRate >= GAME1_ADAPTIVE.confident) {
+    settings.lobsterStart = 'random';
+  }
+
+  settings.adjusted = settings.rockDensity !== difficulty.rockDensity || settings.lobsterStart !== difficulty.lobsterStart;
+  return settings;
+}
+
+// ==========================================================
+// GAME 1 SCORING RULES
+// ==========================================================
+// Chosen with ?game1Scoring=flat|efficiency (or GAME_CONFIG.game1Scoring)
+//   catchPoints          - points for every lobster caught
+//   fewRocksBonus        - most extra points for catching it with few rocks;
+//                          full bonus at fewRocks or fewer, then one point
+//                          less for every rocksPerPoint rocks after that
+//   fastBonus            - the same for time: full bonus within fastSeconds,
+//                          one less for every secondsPerPoint after that
+//   escapePenalty        - points taken off when a lobster escapes
+//   maxPoints            - most Game 1 can add to the total (null = no cap)
+// Rocks and seconds are counted from the start of the round, so with two
+// lobsters the second catch usually earns less. 'flat' is the original
+// 1 point per lobster. 'efficiency' tops out at 5 a catch and Game 1 at 60
+// points. An escape never takes off more than Game 1 has earned.
+// GAME_CONFIG.game1ScoringRules can change any value, ?game1MaxPoints= the cap
+// ==========================================================
+const GAME1_SCORING_RULES = {
+  flat: { catchPoints: 1, fewRocksBonus: 0, fewRocks: 0, rocksPerPoint: 1, fastBonus: 0, fastSeconds: 0, secondsPerPoint: 1, escapePenalty: 0, maxPoints: null },
+  efficiency: { catchPoints: 1, fewRocksBonus: 2, fewRocks: 8, rocksPerPoint: 4, fastBonus: 2, fastSeconds: 15, secondsPerPoint: 10, escapePenalty: 1, maxPoints: 60 }
+};
+
+function getGame1ScoringRules() {
+  let name = getConfigOption('game1Scoring', 'flat');
+  if (!GAME1_SCORING_RULES[name]) {
+    console.warn(`Unknown Game 1 scoring rules "${name}", using flat`);
+    name = 'flat';
+  }
+
+  const overrides = (window.GAME_CONFIG && window.GAME_CONFIG.game1ScoringRules) || {};
+  const rules = Object.assign({ name: name }, GAME1_SCORING_RULES[name], overrides);
+  const maxPoints = parseInt(getConfigOption('game1MaxPoints'), 10);
+  if (maxPoints >= 0) rules.maxPoints = maxPoints;
+  return rules;
+}
+
+// Points for one catch, split by SCORE_REASONS key so the results screen
+// can show each part. catchInfo is { rocks, seconds } for the round so far
+function getGame1CatchScore(rules, catchInfo) {
+  const bonus = (full, freeAmount, perPoint, used) => {
+    if (full <= 0) return 0;
+    const over = Math.max(0, used - freeAmount);
+    return Math.max(0, full - Math.ceil(over / Math.max(1, perPoint)));
+  };
+  return {
+    lobster_caught: rules.catchPoints,
+    few_rocks: bonus(rules.fewRocksBonus, rules.fewRocks, rules.rocksPerPoint, catchInfo.rocks),
+    fast_catch: bonus(rules.fastBonus, rules.fastSeconds, rules.secondsPerPoint, catchInfo.seconds)
+  };
+}
+
+// ==========================================================
+// GAME 1 BOARD LAYOUTS
+// ==========================================================
+// A layout is a fixed board instead of a random one - grid size, rocks and
+// where the lobster(s) start - so teachers can set particular puzzles
+// ("trap the lobster in 3 rocks"). Made in the board editor (BoardEditor)
+// and played with ?board=<code> (or GAME_CONFIG.board).
+//
+// Layouts are shared as either
+//   a code - short and safe in a URL, e.g. 1.11x10.55.0a1b2c
+//            (version . size . lobster squares . rock squares, where each
+//            square is two base-36 digits, x then y)
+//   JSON   - {"v":1,"width":11,"height":10,"lobsters":["5,5"],"rocks":["0,a",...]}
+//            with squares written as "x,y"
+// ==========================================================
+const BOARD_LAYOUT_LIMITS = {
+  minSize: 5,
+  maxSize: 20,         // Keeps every coordinate to one base-36 digit
+  maxLobsters: 4,
+  maxSolutionRocks: 40,  // Most rocks findLayoutSolution will place
+  solverBranches: 3,     // Rocks it tries each turn
+  solverBudget: 150,     // Turns it looks at before giving up, on a board up to solverSquares big
+  solverSquares: 110     // Each turn costs about squares² (a path search per square), so
+                         // bigger boards get proportionally fewer turns - about 0.3s either way
+};
+
+function createEmptyBoardLayout(width, height) {
+  return {
+    width: width,
+    height: height,
+    lobsters: [new HexGridSquare(Math.floor(width / 2), Math.floor(height / 2))],
+    rocks: []
+  };
+}
+
+function encodeBoardLayout(layout) {
+  const squares = list => list.map(square => square.x.toString(36) + square.y.toString(36)).join('');
+  return `1.${layout.width}x${layout.height}.${squares(layout.lobsters)}.${squares(layout.rocks)}`;
+}
+
+function boardLayoutToJSON(layout) {
+  return JSON.stringify({
+    v: 1,
+    width: layout.width,
+    height: layout.height,
+    lobsters: layout.lobsters.map(square => square.hash()),
+    rocks: layout.rocks.map(square => square.hash())
+  });
+}
+
+// Takes a code or JSON text. Throws if it can't be read at all - whether the
+// board is any good is checkBoardLayout's job
+function decodeBoardLayout(text) {
+  const trimmed = String(text).trim();
+  let layout;
+
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed);
+    const toSquare = hash => {
+      const [x, y] = String(hash).split(',').map(Number);
+      return new HexGridSquare(x, y);
+    };
+    layout = {
+      width: Number(data.width),
+      height: Number(data.height),
+      lobsters: (data.lobsters || []).map(toSquare),
+      rocks: (data.rocks || []).map(toSquare)
+    };
+  } else {
+    const match = /^1\.(\d+)x(\d+)\.([0-9a-z]*)\.([0-9a-z]*)$/i.exec(trimmed);
+    if (!match || match[3].length % 2 || match[4].length % 2) {
+      throw new Error(`"${trimmed}" is not a board code`);
+    }
+    const toSquares = digits => (digits.toLowerCase().match(/../g) || [])
+      .map(pair => new HexGridSquare(parseInt(pair[0], 36), parseInt(pair[1], 36)));
+    layout = {
+      width: Number(match[1]),
+      height: Number(match[2]),
+      lobsters: toSquares(match[3]),
+      rocks: toSquares(match[4])
+    };
+  }
+
+  [layout.width, layout.height].forEach(size => {
+    if (!Number.isInteger(size) || size < BOARD_LAYOUT_LIMITS.minSize || size > BOARD_LAYOUT_LIMITS.maxSize) {
+      throw new Error(`Board sizes must be ${BOARD_LAYOUT_LIMITS.minSize}-${BOARD_LAYOUT_LIMITS.maxSize}`);
+    }
+  });
+  return layout;
+}
+
+// The grid as LobsterToken's path search expects it
+function createLayoutBoard(layout) {
+  const boardSquares = new Map();
+  for (let x = 0; x < layout.width; x++) {
+    for (let y = 0; y < layout.height; y++) {
+      const square = new HexGridSquare(x, y);
+      boardSquares.set(square.hash(), square);
+    }
+  }
+  return {
+    blockedSet: new Set(layout.rocks.map(square => square.hash())),
+    boardSquares: boardSquares,
+    gridWidth: layout.width,
+    gridHeight: layout.height
+  };
+}
+
+// Every square a rock could go on, best first: the rock that pushes the
+// lobsters' nearest escape furthest away (ideally cutting them off) comes
+// first, with fewer routes out as the tie-break. isTaken says which squares
+// have a lobster on them
+function rankRocks(board, lobsters, isTaken) {
+  const options = [];
+
+  board.boardSquares.forEach((square, key) => {
+    if (isTaken(key) || board.blockedSet.has(key)) return;
+
+    const blockedSet = new Set(board.blockedSet);
+    blockedSet.add(key);
+    const trial = { blockedSet, boardSquares: board.boardSquares, gridWidth: board.gridWidth, gridHeight: board.gridHeight };
+    const distances = LobsterToken.getEscapeDistances(trial);
+    const stepsFor = (lobster) => distances.has(lobster.position.hash()) ? distances.get(lobster.position.hash()) : Infinity;
+    const escapeSteps = Math.min(...lobsters.map(stepsFor));
+    const routes = escapeSteps === Infinity ? 0 : lobsters
+      .filter(lobster => stepsFor(lobster) === escapeSteps)
+      .reduce((total, lobster) => total + lobster.getOpenNeighbors(lobster.position, trial)
+        .filter(neighbor => distances.get(neighbor.hash()) === escapeSteps - 1).length, 0);
+
+    options.push({ square, escapeSteps, routes });
+  });
+  return options.sort((a, b) => (b.escapeSteps - a.escapeSteps) || (a.routes - b.routes));
+}
+
+// The single best rock - what the hint button shows
+function chooseBestRock(board, lobsters, isTaken) {
+  return rankRocks(board, lobsters, isTaken)[0] || null;
+}
+
+// One turn of the game away from the screen: the rock goes down and the
+// lobsters answer as they do in Game1Board.moveLobsters. lobsters is a list
+// of { position, status }. Returns the new rocks and lobsters, or null if a
+// lobster escaped
+function playLayoutTurn(board, lobsters, rock, strategy) {
+  const blockedSet = new Set(board.blockedSet);
+  blockedSet.add(rock.hash());
+  const tokens = lobsters.map(({ position, status }) => {
+    const token = new LobsterToken(position, strategy, new SeededRandom(1));
+    token.status = status;
+    return token;
+  });
+  const blockedFor = (lobster, others) => {
+    const blocked = new Set(blockedSet);
+    others.forEach(other => {
+      if (other !== lobster) blocked.add(other.position.hash());
+    });
+    return blocked;
+  };
+
+  // Lobsters that already moved this turn block the others where they landed
+  for (const lobster of tokens.filter(token => token.status === 'free')) {
+    const caught = tokens.filter(other => other.status === 'caught');
+    if (!lobster.findShortestEscapePath(blockedFor(lobster, caught), board.boardSquares, board.gridWidth, board.gridHeight)) {
+      lobster.status = 'caught';
+      continue;
+    }
+    const { nextPos, escapedIfMove } = lobster.getNextStep(blockedFor(lobster, tokens), board.boardSquares, board.gridWidth, board.gridHeight);
+    if (escapedIfMove) return null;
+    if (nextPos) lobster.position = nextPos;
+  }
+  return { blockedSet, lobsters: tokens.map(({ position, status }) => ({ position, status })) };
+}
+
+// Looks for a way to catch every lobster: tries the best few rocks each
+// turn (see rankRocks), best first, backing up when a lobster gets away.
+// Returns the rocks in the order to place them, or null. The search is
+// capped (solverBudget turns looked at, fewer on big boards), so null means
+// "none found" rather than "impossible"; against a lobster that doesn't use
+// chance, a solution it finds always works
+function findLayoutSolution(layout, strategy = 'shortest') {
+  const { maxSolutionRocks, solverBranches, solverBudget, solverSquares } = BOARD_LAYOUT_LIMITS;
+  const board = createLayoutBoard(layout);
+  const scale = Math.min(1, (solverSquares / (layout.width * layout.height)) ** 2);
+  let budget = Math.max(1, Math.round(solverBudget * scale));
+
+  const search = (blockedSet, lobsters, rocks) => {
+    const free = lobsters.filter(lobster => lobster.status === 'free');
+    if (free.length === 0) return rocks;
+    if (rocks.length >= maxSolutionRocks || budget <= 0) return null;
+    budget--;
+
+    const state = Object.assign({}, board, { blockedSet });
+    const tokens = free.map(lobster => new LobsterToken(lobster.position, strategy));
+    const isTaken = key => lobsters.some(lobster => lobster.position.hash() === key);
+    const options = rankRocks(state, tokens, isTaken).slice(0, solverBranches);
+
+    for (const option of options) {
+      const next = playLayoutTurn(state, lobsters, option.square, strategy);
+      const solution = next && search(next.blockedSet, next.lobsters, rocks.concat(option.square));
+      if (solution) return solution;
+    }
+    return null;
+  };
+
+  return search(board.blockedSet, layout.lobsters.map(position => ({ position, status: 'free' })), []);
+}
+
+// Everything wrong with a layout (English - it's for teachers and
+// researchers), plus how far the nearest lobster is from the edge.
+// Whether it can be won is findLayoutSolution's job
+function checkBoardLayout(layout) {
+  const errors = [];
+  const board = createLayoutBoard(layout);
+  const onBoard = square => board.boardSquares.has(square.hash());
+  const onEdge = square => square.x === 0 || square.y === 0 || square.x === layout.width - 1 || square.y === layout.height - 1;
+  const lobsterKeys = layout.lobsters.map(square => square.hash());
+
+  if (layout.lobsters.length === 0) errors.push('There is no lobster on the board.');
+  if (layout.lobsters.length > BOARD_LAYOUT_LIMITS.maxLobsters) errors.push(`No more than ${BOARD_LAYOUT_LIMITS.maxLobsters} lobsters.`);
+  if (new Set(lobsterKeys).size !== lobsterKeys.length) errors.push('Two lobsters are on the same square.');
+  layout.lobsters.forEach(square => {
+    if (!onBoard(square)) errors.push(`Lobster at ${square.hash()} is off the board.`);
+    else if (onEdge(square)) errors.push(`Lobster at ${square.hash()} is on the edge - it would escape straight away.`);
+    else if (board.blockedSet.has(square.hash())) errors.push(`Lobster at ${square.hash()} is on a rock.`);
+  });
+  layout.rocks.forEach(square => {
+    if (!onBoard(square)) errors.push(`Rock at ${square.hash()} is off the board.`);
+  });
+
+  const result = { errors, escapeSteps: null };
+  if (errors.length > 0) return result;
+
+  for (const square of layout.lobsters) {
+    const lobster = new LobsterToken(square);
+    const path = lobster.findShortestEscapePath(board.blockedSet, board.boardSquares, board.gridWidth, board.gridHeight);
+    if (!path) {
+      errors.push(`Lobster at ${square.hash()} is already trapped.`);
+    } else if (result.escapeSteps === null || path.length - 1 < result.escapeSteps) {
+      result.escapeSteps = path.length - 1;
+    }
+  }
+  return result;
+}
+
+// The layout from ?board=, or null for random boards as usual
+function getGame1BoardLayout() {
+  const option = getConfigOption('board');
+  if (!option) return null;
+  try {
+    const layout = decodeBoardLayout(option);
+    const check = checkBoardLayout(layout);
+    if (check.errors.length > 0) throw new Error(check.errors.join(' '));
+    return layout;
+  } catch (error) {
+    console.error('Ignoring ?board= layout:', error.message);
+    return null;
+  }
+}
+
+// ==========================================================
+// GAME 1 PUZZLE CAMPAIGN
+// ==========================================================
+// Handmade boards (see GAME 1 BOARD LAYOUTS) played in order from the
+// Game 1 tutorial. They build up to the "build the wall far away first"
+// idea the help system teaches: a ring of rocks round the lobster with
+// gaps in it, starting right next to the lobster and moving further out,
+// with more gaps, on bigger boards.
+//   par  - rocks for three stars. Found with findLayoutSolution against
+//          the plain shortest-path lobster, which is what puzzles use
+//   tip  - shown above the board (Gaelic), optional
+// Puzzles unlock one at a time; progress is kept per participant code
+// ==========================================================
+const GAME1_PUZZLES = [
+  { id: 'first-stone', name: "A' chiad chlach", board: '1.7x7.33.4332423444', par: 1, tip: 'Cuir clach sa bheàrn!' },
+  { id: 'two-gaps', name: 'Dà bheàrn', board: '1.7x7.33.22245352213141253545', par: 2, tip: 'Dùin na beàrnan mus ruig an giomach iad.' },
+  { id: 'far-wall', name: 'Balla fada air falbh', board: '1.9x9.44.13152226746365622131415127374757', par: 2, tip: 'Tòisich fada air falbh bhon ghiomach.' },
+  { id: 'corner', name: 'An oisean', board: '1.9x9.44.14132226746365626621415127374757', par: 3 },
+  { id: 'three-gaps', name: 'Trì beàrnan', board: '1.9x9.44.131522267465626621315127374757', par: 3, tip: 'Dùin am beàrn as fhaisge air a\' ghiomach an toiseach.' },
+  { id: 'five-gaps', name: 'Còig beàrnan', board: '1.9x9.44.13152274636566213151273757', par: 5 },
+  { id: 'big-board', name: 'Bòrd mòr', board: '1.11x10.55.343637858673425272486878', par: 7, tip: 'Tog balla, is an uair sin glac e.' },
+  { id: 'big-cage', name: "A' chàidse mhòr", board: '1.11x10.55.2426232732959496838788314151613949596979', par: 10 }
+];
+
+// Three stars within par, two for up to two rocks over, one for any catch
+function getPuzzleStars(rocksUsed, par) {
+  if (rocksUsed <= par) return 3;
+  if (rocksUsed <= par + 2) return 2;
+  return 1;
+}
+
+function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+}
+
+// Best result for each puzzle, per participant code, in localStorage
+class PuzzleProgressStore {
+  constructor(storageKey = 'glac_puzzle_progress') {
+    this.storageKey = storageKey;
+  }
+
+  // Same case-insensitive codes as SessionCheckpointStore
+  getKey(participantCode) {
+    return String(participantCode || 'guest').toUpperCase();
+  }
+
+  getAll() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+    } catch (error) {
+      console.error('Puzzle progress was corrupted, starting fresh:', error);
+      return {};
+    }
+  }
+
+  // { puzzleId: { stars, bestRocks, attempts } }
+  load(participantCode) {
+    return this.getAll()[this.getKey(participantCode)] || {};
+  }
+
+  // rocks is null when the lobster got away. Returns the puzzle's updated entry
+  recordResult(participantCode, puzzleId, stars, rocks) {
+    const all = this.getAll();
+    const key = this.getKey(participantCode);
+    const progress = all[key] || {};
+    const entry = progress[puzzleId] || { stars: 0, bestRocks: null, attempts: 0 };
+
+    entry.attempts++;
+    entry.stars = Math.max(entry.stars, stars);
+    if (rocks !== null && (entry.bestRocks === null || rocks < entry.bestRocks)) entry.bestRocks = rocks;
+
+    progress[puzzleId] = entry;
+    all[key] = progress;
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(all));
+    } catch (error) {
+      console.error('Could not save puzzle progress:', error);
+    }
+    return entry;
+  }
+
+  // The first puzzle is always open; each one after needs the one before caught
+  isUnlocked(progress, index) {
+    if (index === 0) return true;
+    const previous = progress[GAME1_PUZZLES[index - 1].id];
+    return Boolean(previous && previous.stars > 0);
+  }
+}
+
+// ==========================================================
+// SEEDED RANDOMNESS
+// ==========================================================
+// Small deterministic PRNG (mulberry32) so two pupils can get the same
+// boards and a session can be replayed exactly. fork(name) gives each game
+// its own independent stream, so e.g. how many fish Game 3 spawned can't
+// change the Game 1 boards.
+//
+// The seed comes from ?seed= / GAME_CONFIG.seed if set, otherwise from the
+// participant code, and is saved on the session record
+// ==========================================================
+class SeededRandom {
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  // Float in [0, 1) - drop-in for Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, max)
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  // Fisher-Yates on a copy
+  shuffle(array) {
+    const copy = array.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = this.int(i + 1);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  // Independent stream derived from this seed and a name
+  fork(name) {
+    return new SeededRandom(hashParticipantCode(`${this.seed}:${name}`));
+  }
+}
+
+// Numeric seeds are used as-is, anything else is hashed. With no seed
+// configured the participant code decides; before login it's just random
+function createSessionSeed(participantCode = null) {
+  const configured = getConfigOption('seed');
+  if (configured !== null && configured !== '') {
+    return /^[0-9]+$/.test(String(configured))
+      ? parseInt(configured, 10) >>> 0
+      : hashParticipantCode(`seed:${configured}`);
+  }
+  if (participantCode) {
+    return hashParticipantCode(`seed:${participantCode}`);
+  }
+  return Math.floor(Math.random() * 4294967296);
+}
+
+// ==========================================================
+// CONFIG OPTIONS
+// ==========================================================
+// Study options can come from a window.GAME_CONFIG object (set in index.html
+// before game.js loads) or from the URL query string, e.g. ?results=rest
+// URL parameters win so researchers can override a deployment per session
+// ==========================================================
+function getConfigOption(name, fallback = null) {
+  const params = new URLSearchParams(window.location.search);
+  if (params.has(name)) return params.get(name);
+
+  const config = window.GAME_CONFIG || {};
+  if (config[name] !== undefined) return config[name];
+
+  return fallback;
+}
+
+const CONFIG_FETCH_TIMEOUT = 5000;  // ms login waits for a settings or roster file
+
+// fetch() for the files login waits on - gives up after CONFIG_FETCH_TIMEOUT
+// so a hanging request on school wifi can't keep pupils at the login screen
+function fetchConfigFile(url) {
+  let timer = null;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${url} took over ${CONFIG_FETCH_TIMEOUT}ms`)), CONFIG_FETCH_TIMEOUT);
+  });
+  return Promise.race([fetch(url), timeout]).finally(() => clearTimeout(timer));
+}
+
+// ==========================================================
+// GAME SETTINGS (round timers)
+// ==========================================================
+// Every game duration and timer threshold in one place, so researchers can
+// change the session length without touching the code. Each value can be
+// set (last wins) in:
+//   - GAME_CONFIG.settings, e.g. { game1Time: 180, game3Time: 150 }
+//   - a JSON file at GAME_CONFIG.settingsUrl (or ?settingsUrl=) with the same keys
+//   - the URL, one parameter per key, e.g. ?game1Time=180&zoneDeep=80
+// All values are whole seconds. Anything that doesn't make sense is
+// ignored (with a warning) and the default kept
+// ==========================================================
+const DEFAULT_GAME_SETTINGS = {
+  game1Time: 240,     // Game 1 countdown
+  game3Time: 180,     // Game 3 countdown
+  zoneMidDepth: 45,   // Game 3 seconds played when MID_DEPTH starts
+  zoneDeep: 90,       // ...and when DEEP starts
+  zoneWarning: 5,     // Warning shown this long before each zone change
+  warnYellow: 60,     // Timer turns yellow at this many seconds left
+  warnOrange: 30,     // ...orange
+  warnRed: 10         // ...red
+};
+
+class GameSettings {
+  constructor() {
+    this.values = Object.assign({}, DEFAULT_GAME_SETTINGS);
+    this.source = 'defaults';  // Or 'config', 'file', 'url' - the last that changed anything
+    this.frozen = false;       // Set once a session starts (see freeze)
+    this.apply((window.GAME_CONFIG && window.GAME_CONFIG.settings) || {}, 'config');
+    this.applyURL();
+  }
+
+  // Picks up the settings file if one is configured. URL parameters are
+  // applied again afterwards so they still win over the file. Always
+  // resolves (with the values so far if the file can't be had)
+  load() {
+    const url = getConfigOption('settingsUrl');
+    if (!url) return Promise.resolve(this.values);
+
+    return fetchConfigFile(url).then(response => {
+      if (!response.ok) throw new Error(`Settings request failed: ${response.status}`);
+      return response.json();
+    }).then(settings => {
+      this.apply(settings, 'file');
+      this.applyURL();
+      return this.values;
+    }).catch(error => {
+      console.error('Could not load game settings:', error);
+      return this.values;
+    });
+  }
+
+  // Fixes the values for the session that's starting (or being resumed
+  // with the values it started with) - nothing that arrives later changes them
+  freeze(values = this.values) {
+    this.values = Object.assign({}, values);
+    this.frozen = true;
+  }
+
+  applyURL() {
+    const params = new URLSearchParams(window.location.search);
+    const settings = {};
+    Object.keys(DEFAULT_GAME_SETTINGS).forEach(key => {
+      if (params.has(key)) settings[key] = params.get(key);
+    });
+    this.apply(settings, 'url');
+  }
+
+  apply(settings, source) {
+    if (this.frozen) {
+      console.warn(`Game settings from ${source} arrived after the session started, ignored`);
+      return;
+    }
+    const next = Object.assign({}, this.values);
+    Object.keys(settings).forEach(key => {
+      if (!(key in DEFAULT_GAME_SETTINGS)) {
+        console.warn(`Unknown game setting "${key}" ignored`);
+        return;
+      }
+      const value = Number(settings[key]);
+      if (!Number.isInteger(value) || value < 0) {
+        console.warn(`Game setting ${key}=${settings[key]} is not a whole number of seconds, ignored`);
+        return;
+      }
+      next[key] = value;
+    });
+
+    const problem = GameSettings.check(next);
+    if (problem) {
+      console.warn(`Game settings from ${source} ignored: ${problem}`);
+      return;
+    }
+    if (Object.keys(settings).length > 0) this.source = source;
+    this.values = next;
+  }
+
+  // Returns what's wrong with a full set of values, or null
+  static check(values) {
+    if (values.game1Time < 1 || values.game3Time < 1) return 'game times must be at least 1 second';
+    if (values.zoneMidDepth >= values.zoneDeep) return 'zoneMidDepth must come before zoneDeep';
+    if (values.zoneDeep >= values.game3Time) return 'zoneDeep must come before the end of game3Time';
+    if (values.zoneWarning >= values.zoneMidDepth) return 'zoneWarning must be shorter than zoneMidDepth';
+    // The deep warning only shows once the mid-depth zone has been reached
+    if (values.zoneDeep - values.zoneWarning <= values.zoneMidDepth) {
+      return 'zoneWarning must end after zoneMidDepth is reached (zoneDeep - zoneWarning > zoneMidDepth)';
+    }
+    if (!(values.warnYellow >= values.warnOrange && values.warnOrange >= values.warnRed)) {
+      return 'warnYellow, warnOrange and warnRed must go from most to fewest seconds';
+    }
+    return null;
+  }
+
+  get(key) {
+    return this.values[key];
+  }
+
+  getAll() {
+    return Object.assign({}, this.values);
+  }
+}
+
+// Seconds as the banner timer shows them, e.g. 245 -> "4:05"
+function formatTimer(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+// "còig mionaidean" for the Game 1 tutorial. Only whole minutes up to ten
+// have words here - anything else just says there isn't much time
+function getGaelicMinutes(seconds) {
+  const words = ['aon mhionaid', 'dà mhionaid', 'trì mionaidean', 'ceithir mionaidean', 'còig mionaidean',
+    'sia mionaidean', 'seachd mionaidean', 'ochd mionaidean', 'naoi mionaidean', 'deich mionaidean'];
+  const minutes = seconds / 60;
+  return Number.isInteger(minutes) && words[minutes - 1] ? words[minutes - 1] : null;
+}
+
+// ==========================================================
+// EXPORT HELPERS
+// ==========================================================
+// Shared by the research event log and the researcher screens
+// ==========================================================
+
+// Quotes a value for CSV if it contains a comma, quote or newline
+// Objects/arrays are written as JSON so nothing gets lost
+function toCSVValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: array of { header, value: row => any }
+function buildCSV(columns, rows) {
+  const lines = [columns.map(column => toCSVValue(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => toCSVValue(column.value(row))).join(','));
+  });
+  return lines.join('\r\n');
+}
+
+// Participant codes end up in researcher tables, so escape anything user-typed
+function escapeHTML(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Triggers a browser download of some text (CSV, JSON, JSONL)
+function downloadTextFile(filename, text, mimeType) {
+  const blob = new Blob([text], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ==========================================================
+// RESEARCH EVENT LOG
+// ==========================================================
+// Structured record of everything the pupil does across all three games
+// (rocks placed, lobster moves, card flips, fish clicks, pauses, etc.)
+// Each event carries the participant code, the flow state it happened in,
+// a wall-clock timestamp and a high-resolution performance.now() time so
+// reaction times can be worked out to sub-millisecond precision
+// Saved with the session record and exportable as JSONL or CSV
+// ==========================================================
+class ResearchEventLog {
+  constructor(controller) {
+    this.controller = controller;
+    this.events = [];
+    this.sequence = 0;  // Keeps order unambiguous even with identical timestamps
+  }
+
+  log(type, data = {}) {
+    const event = {
+      seq: this.sequence++,
+      type: type,
+      participantCode: this.controller.participantCode,
+      state: this.controller.currentState,
+      timestamp: new Date().toISOString(),
+      t: Math.round(performance.now() * 1000) / 1000,  // ms since page load, to the microsecond
+      data: data
+    };
+    this.events.push(event);
+    return event;
+  }
+
+  clear() {
+    this.events = [];
+    this.sequence = 0;
+  }
+
+  // Carries on from a saved checkpoint, keeping the sequence numbers going
+  restore(events) {
+    this.events = events.slice();
+    this.sequence = events.length > 0 ? events[events.length - 1].seq + 1 : 0;
+  }
+
+  getEvents() {
+    return this.events.slice();
+  }
+
+  // One JSON object per line - easy to stream into R/pandas
+  toJSONL(events = this.events) {
+    return events.map(event => JSON.stringify(event)).join('\n');
+  }
+
+  // Event-specific fields go in a single JSON "data" column
+  toCSV(events = this.events) {
+    return buildCSV([
+      { header: 'session_id', value: event => event.sessionId },
+      { header: 'seq', value: event => event.seq },
+      { header: 'participant_code', value: event => event.participantCode },
+      { header: 'state', value: event => event.state },
+      { header: 'type', value: event => event.type },
+      { header: 'timestamp', value: event => event.timestamp },
+      { header: 't_ms', value: event => event.t },
+      { header: 'data', value: event => event.data }
+    ], events);
+  }
+}
+
+// ==========================================================
+// SCORE LEDGER
+// ==========================================================
+// Records every change to the score with the game it came from, the reason
+// and a timestamp, so after a session we can tell how many points came from
+// each game (and from which actions) instead of just the final total
+// ==========================================================
+
+// Display names for each game (used on the results screen and in exports)
+const GAME_NAMES = {
+  game1: 'Glac an Giomach',
+  game2: 'Cho Coltrach ris an Dà Sgadan',
+  game3: "Cho luath ris a' bhradan"
+};
+
+// Every reason a score can change, with its Gaelic label for the results screen
+const SCORE_REASONS = {
+  lobster_caught: 'Giomach air a ghlacadh',  // Game 1 - lobster trapped
+  pair_matched: 'Paidhir air a lorg',        // Game 2 - pair matched
+  correct_fish: 'Iasg ceart',                // Game 3 - the fish Ruairidh asked for
+  wrong_fish: 'Iasg ceàrr',                  // Game 3 - penalty for the wrong fish
+  garbage: 'Sgudal air a thogail',           // Game 3 - rubbish cleared from the sea
+  hint: 'Sanas',                             // Game 1 - cost of a hint (hintCost, off by default)
+  few_rocks: 'Glè bheag de chlachan',        // Game 1 - efficiency bonus for using few rocks
+  fast_catch: 'Glacadh luath',               // Game 1 - efficiency bonus for a quick catch
+  lobster_escaped: 'Theich an giomach'       // Game 1 - efficiency penalty for an escape
+};
+
+class ScoreLedger {
+  constructor() {
+    this.entries = [];  // { game, reason, delta, requestedDelta, timestamp }
+  }
+
+  // delta is what was actually applied; requestedDelta is what the game asked
+  // for (they differ when a penalty was clamped at zero)
+  record(game, reason, delta, requestedDelta = delta) {
+    const entry = {
+      game: game,
+      reason: reason,
+      delta: delta,
+      requestedDelta: requestedDelta,
+      timestamp: new Date().toISOString()
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  getTotal() {
+    return this.entries.reduce((sum, entry) => sum + entry.delta, 0);
+  }
+
+  getGameTotal(game) {
+    return this.entries
+      .filter(entry => entry.game === game)
+      .reduce((sum, entry) => sum + entry.delta, 0);
+  }
+
+  // { game1: { total, reasons: { lobster_caught: { count, points } } }, ... }
+  getBreakdown() {
+    const breakdown = {};
+    this.entries.forEach(entry => {
+      if (!breakdown[entry.game]) {
+        breakdown[entry.game] = { total: 0, reasons: {} };
+      }
+      const game = breakdown[entry.game];
+      if (!game.reasons[entry.reason]) {
+        game.reasons[entry.reason] = { count: 0, points: 0 };
+      }
+      game.total += entry.delta;
+      game.reasons[entry.reason].count++;
+      game.reasons[entry.reason].points += entry.delta;
+    });
+    return breakdown;
+  }
+
+  getEntries() {
+    return this.entries.map(entry => Object.assign({}, entry));
+  }
+
+  // Puts back entries from a saved checkpoint (see SessionCheckpointStore)
+  restore(entries) {
+    this.entries = entries.map(entry => Object.assign({}, entry));
+  }
+}
+
+// ==========================================================
+// RESULTS STORE - SESSION PERSISTENCE
+// ==========================================================
+// Saves one record per play-through (participant code, per-game scores,
+// durations and timestamps) once the pupil reaches the results screen.
+// The store talks to a swappable adapter - IndexedDB in the browser by
+// default, or a REST endpoint (Firebase Realtime Database, a local mock
+// server, etc). Every adapter implements the same two methods:
+//   saveSession(record) -> Promise
+//   getAllSessions()    -> Promise<record[]>
+// Anything that fails to save is queued in localStorage and retried later,
+// so a flaky school wifi connection doesn't lose a pupil's results
+// ==========================================================
+
+// Default adapter - keeps sessions on this device in IndexedDB
+class IndexedDBResultsAdapter {
+  constructor(dbName = 'glac-an-giomach-results', storeName = 'sessions') {
+    this.name = 'indexeddb';
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;  // Opened lazily on first use
+  }
+
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+
+      const request = window.indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          const store = db.createObjectStore(this.storeName, { keyPath: 'sessionId' });
+          store.createIndex('participantCode', 'participantCode', { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let the next call try again if opening failed (e.g. private browsing)
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  saveSession(record) {
+    return this.openDatabase().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, 'readwrite');
+      transaction.objectStore(this.storeName).put(record);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    }));
+  }
+
+  getAllSessions() {
+    return this.openDatabase().then(db => new Promise((resolve, reject) => {
+      const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    }));
+  }
+}
+
+// REST adapter - PUTs each session to `${baseUrl}/${sessionId}${suffix}`
+// PUT (rather than POST) means a retried save overwrites instead of duplicating
+// Firebase Realtime Database works with suffix '.json'; a local mock server
+// only needs to accept PUT /sessions/:id and GET /sessions
+class RestResultsAdapter {
+  constructor(baseUrl, suffix = '') {
+    this.name = 'rest';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.suffix = suffix;
+  }
+
+  saveSession(record) {
+    const url = `${this.baseUrl}/${encodeURIComponent(record.sessionId)}${this.suffix}`;
+    return fetch(url, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(record)
+    }).then(response => {
+      if (!response.ok) throw new Error(`Results server responded ${response.status}`);
+    });
+  }
+
+  getAllSessions() {
+    return fetch(`${this.baseUrl}${this.suffix}`).then(response => {
+      if (!response.ok) throw new Error(`Results server responded ${response.status}`);
+      return response.json();
+    }).then(data => {
+      // Firebase returns an object keyed by session ID, most servers return an array
+      if (!data) return [];
+      return Array.isArray(data) ? data : Object.values(data);
+    });
+  }
+}
+
+// In-memory adapter - used when nothing else is available and handy for demos
+// Sessions are lost on reload, so the queue keeps a copy until this succeeds
+class MemoryResultsAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.sessions = new Map();
+  }
+
+  saveSession(record) {
+    this.sessions.set(record.sessionId, record);
+    return Promise.resolve();
+  }
+
+  getAllSessions() {
+    return Promise.resolve(Array.from(this.sessions.values()));
+  }
+}
+
+// Picks the adapter from config: ?results=indexeddb (default), ?results=memory,
+// ?results=rest&resultsUrl=http://localhost:3000/sessions, or
+// ?results=firebase&resultsUrl=https://<project>.firebaseio.com/sessions
+function createResultsAdapter() {
+  const backend = getConfigOption('results', 'indexeddb');
+  const url = getConfigOption('resultsUrl');
+
+  if ((backend === 'rest' || backend === 'firebase') && url) {
+    return new RestResultsAdapter(url, backend === 'firebase' ? '.json' : '');
+  }
+  if (backend === 'memory') {
+    return new MemoryResultsAdapter();
+  }
+  if (backend !== 'indexeddb') {
+    console.warn(`Unknown results backend "${backend}" (or missing resultsUrl), using IndexedDB`);
+  }
+  return new IndexedDBResultsAdapter();
+}
+
+class ResultsStore {
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.queueKey = 'glac_results_queue';  // localStorage key for unsaved sessions
+
+    // ===== RETRY BACKOFF =====
+    // Starts at 2s and doubles up to a minute while the backend stays unreachable
+    this.retryTimer = null;
+    this.baseRetryDelay = 2000;
+    this.maxRetryDelay = 60000;
+    this.retryDelay = this.baseRetryDelay;
+    this.isFlushing = false;
+
+    // Try again as soon as the browser thinks we're back online
+    window.addEventListener('online', () => this.flushQueue());
+  }
+
+  // Saves a session record. Resolves to 'saved' or 'queued' - never rejects,
+  // so the results screen can always tell the pupil something sensible
+  saveSession(record) {
+    return this.adapter.saveSession(record).then(() => {
+      this.removeFromQueue(record.sessionId);
+      this.flushQueue();  // Good moment to push anything left over from earlier
+      return 'saved';
+    }).catch(error => {
+      console.warn('Could not save session, queueing for retry:', error);
+      this.addToQueue(record);
+      this.scheduleRetry();
+      return 'queued';
+    });
+  }
+
+  // All sessions the backend knows about, plus any still waiting in the queue
+  getAllSessions() {
+    const queued = this.getQueue();
+    return this.adapter.getAllSessions().catch(error => {
+      console.warn('Could not load sessions from results backend:', error);
+      return [];
+    }).then(sessions => {
+      const savedIds = new Set(sessions.map(session => session.sessionId));
+      const pending = queued
+        .filter(record => !savedIds.has(record.sessionId))
+        .map(record => Object.assign({}, record, { pendingUpload: true }));
+      return sessions.concat(pending);
+    });
+  }
+
+  // ===== OFFLINE QUEUE =====
+  getQueue() {
+    try {
+      return JSON.parse(localStorage.getItem(this.queueKey) || '[]');
+    } catch (error) {
+      console.error('Results queue was corrupted, starting fresh:', error);
+      return [];
+    }
+  }
+
+  setQueue(queue) {
+    try {
+      localStorage.setItem(this.queueKey, JSON.stringify(queue));
+    } catch (error) {
+      // Storage full or disabled - nothing more we can do on this device
+      console.error('Could not write results queue:', error);
+    }
+  }
+
+  addToQueue(record) {
+    // One entry per session - a newer copy replaces the old one
+    const queue = this.getQueue().filter(item => item.sessionId !== record.sessionId);
+    queue.push(record);
+    this.setQueue(queue);
+  }
+
+  removeFromQueue(sessionId) {
+    const queue = this.getQueue();
+    const remaining = queue.filter(item => item.sessionId !== sessionId);
+    if (remaining.length !== queue.length) this.setQueue(remaining);
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer) return;  // Already waiting
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flushQueue();
+    }, this.retryDelay);
+
+    this.retryDelay = Math.min(this.retryDelay * 2, this.maxRetryDelay);
+  }
+
+  // Pushes queued sessions one at a time, stopping at the first failure
+  flushQueue() {
+    if (this.isFlushing) return Promise.resolve();
+
+    const queue = this.getQueue();
+    if (queue.length === 0) {
+      this.retryDelay = this.baseRetryDelay;
+      return Promise.resolve();
+    }
+
+    this.isFlushing = true;
+    const next = queue[0];
+
+    return this.adapter.saveSession(next).then(() => {
+      this.removeFromQueue(next.sessionId);
+      this.isFlushing = false;
+      return this.flushQueue();
+    }).catch(error => {
+      console.warn('Results backend still unreachable:', error);
+      this.isFlushing = false;
+      this.scheduleRetry();
+    });
+  }
+}
+
+// ==========================================================
+// PARTICIPANT ROSTER
+// ==========================================================
+// The list of valid participant codes for a study, so a typo at login
+// doesn't create a phantom participant. Codes come from (first wins):
+//   - a roster file the researcher loaded on the researcher screen
+//   - GAME_CONFIG.roster (array of codes) or ?roster=P01,P02
+//   - a JSON/CSV file at GAME_CONFIG.rosterUrl
+// With no roster, any code in the right format is accepted (as before)
+//
+// Optional code format checks:
+//   codePattern  - regex the whole code must match, e.g. '[A-Z]{2}[0-9]{4}'
+//                  (case-insensitive; one that doesn't compile is ignored)
+//   codeChecksum - 'luhn' means the last digit is a Luhn check digit over the
+//                  other digits, which catches most single-digit typos and
+//                  swapped neighbours. ParticipantRoster.addCheckDigit makes them
+// ==========================================================
+class ParticipantRoster {
+  constructor(storageKey = 'glac_roster') {
+    this.storageKey = storageKey;
+    this.codes = null;     // Set of upper-case codes, or null when there's no roster
+    this.source = null;    // 'researcher', 'config' or 'url'
+    this.loadedAt = null;
+    this.loadFailed = false;  // rosterUrl is set but couldn't be loaded - nobody gets in
+    this.codePattern = ParticipantRoster.compilePattern(getConfigOption('codePattern'));
+  }
+
+  // Anchored so the pattern has to match the whole code, not just part of it
+  static compilePattern(pattern) {
+    if (!pattern) return null;
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'i');
+    } catch (error) {
+      console.warn(`codePattern "${pattern}" is not a valid regular expression, ignoring it:`, error);
+      return null;
+    }
+  }
+
+  // Picks up whatever roster is configured. Returns a promise for the URL case
+  load() {
+    const stored = this.getStored();
+    if (stored) {
+      this.setCodes(stored.codes, 'researcher', stored.loadedAt);
+      return Promise.resolve(this.codes);
+    }
+
+    const configured = getConfigOption('roster');
+    if (configured) {
+      const codes = Array.isArray(configured) ? configured : String(configured).split(',');
+      this.setCodes(codes, 'config');
+      return Promise.resolve(this.codes);
+    }
+
+    const url = getConfigOption('rosterUrl');
+    if (url) {
+      this.loadFailed = false;
+      return fetchConfigFile(url).then(response => {
+        if (!response.ok) throw new Error(`Roster request failed: ${response.status}`);
+        return response.text();
+      }).then(text => {
+        this.setCodes(ParticipantRoster.parse(text, url), 'url');
+        return this.codes;
+      }).catch(error => {
+        console.error('Could not load participant roster:', error);
+        this.loadFailed = true;
+        return this.codes;
+      });
+    }
+
+    return Promise.resolve(this.codes);
+  }
+
+  setCodes(codes, source, loadedAt = new Date().toISOString()) {
+    this.codes = new Set(codes
+      .map(code => String(code).trim().toUpperCase())
+      .filter(code => code.length > 0));
+    this.source = source;
+    this.loadedAt = loadedAt;
+    this.loadFailed = false;
+  }
+
+  isActive() {
+    return this.codes !== null;
+  }
+
+  // Researcher-loaded roster survives reloads on this device
+  getStored() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+    } catch (error) {
+      console.error('Stored roster was corrupted, ignoring it:', error);
+      return null;
+    }
+  }
+
+  saveToDevice(codes) {
+    this.setCodes(codes, 'researcher');
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ codes: Array.from(this.codes), loadedAt: this.loadedAt }));
+    } catch (error) {
+      console.error('Could not store roster:', error);
+    }
+  }
+
+  clearFromDevice() {
+    try {
+      localStorage.removeItem(this.storageKey);
+    } catch (error) {
+      console.error('Could not remove roster:', error);
+    }
+    this.codes = null;
+    this.source = null;
+    this.loadedAt = null;
+    return this.load();
+  }
+
+  // Returns { valid, code } or { valid: false, error } with a Gaelic message for the pupil
+  validate(rawCode) {
+    const code = String(rawCode || '').trim();
+
+    if (code.length === 0) {
+      return { valid: false, error: 'Feuch gun cuir thu a-steach an còd ceart agad!' };
+    }
+    if (code.length > 50) {
+      return { valid: false, error: 'Tha an còd ro fhada. Feuch còd nas giorra.' };
+    }
+    if (/[^a-zA-Z0-9\-_]/.test(code)) {
+      return { valid: false, error: 'Chan eil sin ceart. Cleachd litrichean agus àireamhan a-mhàin.' };
+    }
+
+    if (this.codePattern && !this.codePattern.test(code)) {
+      return { valid: false, error: 'Chan eil an còd anns a\' chruth cheart. Thoir sùil air a-rithist.' };
+    }
+
+    // A roster was meant to be there - don't let just any code in without it
+    if (this.loadFailed) {
+      return { valid: false, error: 'Cha b\' urrainn dhuinn liosta nan còdan fhaighinn. Faighnich dhan tidsear agad.' };
+    }
+
+    if (getConfigOption('codeChecksum') === 'luhn' && !ParticipantRoster.hasValidCheckDigit(code)) {
+      return { valid: false, error: 'Tha coltas gu bheil mearachd anns a\' chòd. Thoir sùil air na h-àireamhan.' };
+    }
+
+    if (this.isActive() && !this.codes.has(code.toUpperCase())) {
+      return { valid: false, error: 'Chan eil an còd seo air an liosta. Faighnich dhan tidsear agad.' };
+    }
+
+    // Upper case either way, like checkpoints and the condition hash
+    return { valid: true, code: code.toUpperCase() };
+  }
+
+  // A code counts as complete once a saved session has finished all three games
+  hasCompleted(code, sessions) {
+    const key = String(code).toUpperCase();
+    return sessions.some(session =>
+      String(session.participantCode).toUpperCase() === key &&
+      session.completedAt &&
+      ['game1', 'game2', 'game3'].every(game => session.games && session.games[game] && session.games[game].endedAt)
+    );
+  }
+
+  // Roster codes with how far each has got, for the researcher screen
+  getStatus(sessions) {
+    if (!this.isActive()) return [];
+    return Array.from(this.codes).sort().map(code => {
+      const played = sessions.filter(session => String(session.participantCode).toUpperCase() === code);
+      let status = 'not_started';
+      if (this.hasCompleted(code, played)) status = 'complete';
+      else if (played.length > 0) status = 'partial';
+      return { code: code, sessions: played.length, status: status };
+    });
+  }
+
+  // ===== CHECK DIGITS (Luhn) =====
+  static getCheckDigit(digits) {
+    let sum = 0;
+    // Walk right to left, doubling every other digit starting with the rightmost
+    for (let i = digits.length - 1, double = true; i >= 0; i--, double = !double) {
+      let value = parseInt(digits[i], 10);
+      if (double) {
+        value *= 2;
+        if (value > 9) value -= 9;
+      }
+      sum += value;
+    }
+    return (10 - (sum % 10)) % 10;
+  }
+
+  static hasValidCheckDigit(code) {
+    const digits = code.replace(/[^0-9]/g, '');
+    if (digits.length < 2) return false;
+    return ParticipantRoster.getCheckDigit(digits.slice(0, -1)) === parseInt(digits.slice(-1), 10);
+  }
+
+  // e.g. addCheckDigit('LE012') -> 'LE0125'
+  static addCheckDigit(code) {
+    return `${code}${ParticipantRoster.getCheckDigit(code.replace(/[^0-9]/g, ''))}`;
+  }
+
+  // Accepts a JSON array (of codes or { code } objects), { codes: [...] },
+  // or CSV with the code in a 'code'/'participant_code' column (or the first one)
+  static parse(text, filename = '') {
+    const trimmed = text.trim();
+    if (/\.json$/i.test(filename) || trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      const data = JSON.parse(trimmed);
+      const list = Array.isArray(data) ? data : (data.codes || data.participants || []);
+      return list.map(item => (typeof item === 'object' && item !== null)
+        ? (item.code || item.participantCode || item.participant_code)
+        : item).filter(Boolean);
+    }
+
+    const rows = trimmed.split(/\r?\n/).map(line => line.split(',').map(cell => cell.trim().replace(/^"|"$/g, '')));
+    const header = rows[0].map(cell => cell.toLowerCase());
+    let column = header.findIndex(cell => ['code', 'participant_code', 'participantcode', 'còd'].includes(cell));
+    const dataRows = column === -1 ? rows : rows.slice(1);
+    if (column === -1) column = 0;
+    return dataRows.map(row => row[column]).filter(Boolean);
+  }
+}
+
+// ==========================================================
+// SESSION CHECKPOINTS
+// ==========================================================
+// Unfinished sessions kept in localStorage, one per participant code, so
+// the same pupil logging in again after a reload can carry on (see
+// GameFlowController.saveCheckpoint / resumeSession). Cleared once the
+// results screen is reached.
+// Each checkpoint is in two parts: the small one (state, points, progress)
+// written every few seconds, and the log (session record, event log,
+// finished Game 1 rounds) under logKey, written less often as it only grows
+// ==========================================================
+const CHECKPOINT_TIMING = {
+  every: 5000,       // ms between timer-tick checkpoints
+  fullEvery: 30000   // ms between timer-tick checkpoints that include the log
+};
+
+class SessionCheckpointStore {
+  constructor(storageKey = 'glac_session_checkpoints', logKey = 'glac_session_checkpoint_logs') {
+    this.storageKey = storageKey;
+    this.logKey = logKey;
+  }
+
+  // Codes are matched case-insensitively - pupils don't always use the shift key
+  getKey(participantCode) {
+    return String(participantCode).toUpperCase();
+  }
+
+  getAll(storageKey = this.storageKey) {
+    try {
+      return JSON.parse(localStorage.getItem(storageKey) || '{}') || {};
+    } catch (error) {
+      console.error('Session checkpoints were corrupted, starting fresh:', error);
+      return {};
+    }
+  }
+
+  // false when it couldn't be written (usually the storage quota)
+  setAll(checkpoints, storageKey = this.storageKey) {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(checkpoints));
+      return true;
+    } catch (error) {
+      console.error('Could not write session checkpoint:', error);
+      return false;
+    }
+  }
+
+  // Both parts put back together (checkpoints from before the split have
+  // everything in the small part)
+  load(participantCode) {
+    const key = this.getKey(participantCode);
+    const checkpoint = this.getAll()[key];
+    if (!checkpoint) return null;
+    const merged = Object.assign({}, this.getAll(this.logKey)[key], checkpoint);
+    // Can't be resumed without the session record (its log was never written)
+    if (!merged.sessionRecord) {
+      console.warn(`Session checkpoint for ${key} has no session record, ignoring it`);
+      return null;
+    }
+    return merged;
+  }
+
+  // log is only passed in when it has changed enough to be worth writing.
+  // If the log can't be written the small part isn't either, so the two
+  // always belong to the same point in the session
+  save(checkpoint, log = null) {
+    const key = this.getKey(checkpoint.participantCode);
+    if (log) {
+      const logs = this.getAll(this.logKey);
+      logs[key] = log;
+      if (!this.setAll(logs, this.logKey)) return false;
+    }
+    const checkpoints = this.getAll();
+    checkpoints[key] = checkpoint;
+    return this.setAll(checkpoints);
+  }
+
+  // Drops everything saved for codes that have since finished all three
+  // games, and logs left without a checkpoint, so the log part doesn't keep
+  // growing on a shared tablet
+  prune(finishedCodes) {
+    const finished = new Set(finishedCodes.map(code => this.getKey(code)));
+    const checkpoints = this.getAll();
+    const logs = this.getAll(this.logKey);
+    let removed = 0;
+    Object.keys(checkpoints).forEach(key => {
+      if (finished.has(key)) {
+        delete checkpoints[key];
+        removed++;
+      }
+    });
+    Object.keys(logs).forEach(key => {
+      if (finished.has(key) || !checkpoints[key]) {
+        delete logs[key];
+        removed++;
+      }
+    });
+    if (removed === 0) return;
+    this.setAll(checkpoints);
+    this.setAll(logs, this.logKey);
+    console.log(`Pruned ${removed} old session checkpoint entries`);
+  }
+
+  clear(participantCode) {
+    const key = this.getKey(participantCode);
+    [this.storageKey, this.logKey].forEach(storageKey => {
+      const checkpoints = this.getAll(storageKey);
+      if (checkpoints[key]) {
+        delete checkpoints[key];
+        this.setAll(checkpoints, storageKey);
+      }
+    });
+  }
+}
+
+// ==========================================================
+// RESEARCHER DASHBOARD
+// ==========================================================
+// Hidden screen for the research team (open with #researcher in the URL or
+// the researcher participant code). Lists every session in the results
+// store, filters by participant code and date, and exports to CSV/JSON so
+// nobody has to sit beside each pupil writing scores down
+// ==========================================================
+class ResearcherDashboard {
+  constructor(controller) {
+    this.controller = controller;
+    this.sessions = [];   // Everything loaded from the results store
+    this.filters = { participantCode: '', fromDate: '', toDate: '' };
+  }
+
+  render() {
+    const html = `
+      <div class="researcher-screen" role="main" aria-label="Researcher data">
+        <h1>Dàta an rannsachaidh</h1>
+        <div class="researcher-filters">
+          <label>Participant code
+            <input type="text" id="researcher-filter-code" autocomplete="off" placeholder="e.g. P01" />
+          </label>
+          <label>From
+            <input type="date" id="researcher-filter-from" />
+          </label>
+          <label>To
+            <input type="date" id="researcher-filter-to" />
+          </label>
+        </div>
+        <div class="researcher-actions">
+          <button class="nav-btn" onclick="gameController.researcherDashboard.exportCSV()">Export CSV</button>
+          <button class="nav-btn" onclick="gameController.researcherDashboard.exportJSON()">Export JSON</button>
+          <button class="nav-btn" onclick="gameController.researcherDashboard.exportEvents('jsonl')">Events (JSONL)</button>
+          <button class="nav-btn" onclick="gameController.researcherDashboard.exportEvents('csv')">Events (CSV)</button>
+          <button class="nav-btn" onclick="gameController.setGameFlowState('BOARD_EDITOR')">Board editor</button>
+          <button class="nav-btn researcher-exit-btn" onclick="gameController.researcherDashboard.exit()">Dùin</button>
+        </div>
+        <p id="researcher-summary" role="status" aria-live="polite">A' luchdadh...</p>
+        <div class="researcher-table-wrapper" id="researcher-table"></div>
+
+        <section class="researcher-roster" aria-labelledby="researcher-roster-title">
+          <h2 id="researcher-roster-title">Roster</h2>
+          <div class="researcher-actions">
+            <label class="nav-btn researcher-file-btn">Load roster (JSON/CSV)
+              <input type="file" id="researcher-roster-file" accept=".json,.csv,application/json,text/csv" />
+            </label>
+            <button class="nav-btn" onclick="gameController.researcherDashboard.clearRoster()">Clear roster</button>
+          </div>
+          <p id="researcher-roster-summary" role="status" aria-live="polite"></p>
+          <div class="researcher-table-wrapper" id="researcher-roster-list"></div>
+        </section>
+      </div>
+    `;
+    this.controller.gameContainer.innerHTML = html;
+
+    // Re-filter as the researcher types
+    const inputs = {
+      'researcher-filter-code': 'participantCode',
+      'researcher-filter-from': 'fromDate',
+      'researcher-filter-to': 'toDate'
+    };
+    Object.keys(inputs).forEach(id => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      input.value = this.filters[inputs[id]];
+      input.addEventListener('input', () => {
+        this.filters[inputs[id]] = input.value.trim();
+        this.renderTable();
+      });
+    });
+
+    const rosterInput = document.getElementById('researcher-roster-file');
+    if (rosterInput) {
+      rosterInput.addEventListener('change', () => this.loadRosterFile(rosterInput.files[0]));
+    }
+
+    return this.controller.resultsStore.getAllSessions().then(sessions => {
+      // Newest first
+      this.sessions = sessions.sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+      this.renderTable();
+      this.renderRoster();
+    });
+  }
+
+  // Local calendar date (YYYY-MM-DD) so filters match what the researcher expects
+  getLocalDate(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date)) return '';
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  getFilteredSessions() {
+    const code = this.filters.participantCode.toLowerCase();
+    return this.sessions.filter(session => {
+      if (code && !String(session.participantCode).toLowerCase().includes(code)) return false;
+      const date = this.getLocalDate(session.startedAt);
+      if (this.filters.fromDate && date < this.filters.fromDate) return false;
+      if (this.filters.toDate && date > this.filters.toDate) return false;
+      return true;
+    });
+  }
+
+  // Flattens a session record into one row of numbers for the table and CSV
+  getSessionSummary(session) {
+    const games = session.games || {};
+    const game1 = games.game1 || {};
+    const game2 = games.game2 || {};
+    const game3 = games.game3 || {};
+    const toSeconds = ms => (typeof ms === 'number' ? Math.round(ms / 100) / 10 : null);
+
+    return {
+      sessionId: session.sessionId,
+      participantCode: session.participantCode,
+      startedAt: session.startedAt,
+      completedAt: session.completedAt,
+      flow: session.flow ? session.flow.name : null,
+      condition: session.condition || null,
+      debug: Boolean(session.debug),
+      seed: session.seed,
+      totalPoints: session.totalPoints,
+      game1Score: game1.score,
+      game1Seconds: toSeconds(game1.durationMs),
+      game1Difficulty: game1.difficulty,
+      game1LobsterStrategy: game1.lobsterStrategy,
+      game1Lobsters: game1.lobsters,
+      game1Undos: game1.undos,
+      game1Scoring: game1.scoring,
+      game1Hints: game1.hints,
+      game1Rounds: game1.replays ? game1.replays.length : null,
+      game2Score: game2.score,
+      game2Seconds: toSeconds(game2.durationMs),
+      game2Moves: game2.moves,
+      game3Score: game3.score,
+      game3Seconds: toSeconds(game3.durationMs),
+      game3Correct: game3.correctCatches,
+      game3Attempts: game3.totalAttempts,
+      game3Accuracy: game3.accuracy,
+      pendingUpload: Boolean(session.pendingUpload)
+    };
+  }
+
+  renderTable() {
+    const tableContainer = document.getElementById('researcher-table');
+    const summary = document.getElementById('researcher-summary');
+    if (!tableContainer) return;
+
+    const filtered = this.getFilteredSessions();
+    if (summary) {
+      summary.textContent = `${filtered.length} of ${this.sessions.length} sessions`;
+    }
+
+    if (filtered.length === 0) {
+      tableContainer.innerHTML = '<p class="researcher-empty">No sessions match these filters.</p>';
+      return;
+    }
+
+    const show = value => (value === undefined || value === null ? '–' : value);
+    const rows = filtered.map(session => {
+      const row = this.getSessionSummary(session);
+      const accuracy = typeof row.game3Accuracy === 'number' ? `${Math.round(row.game3Accuracy * 100)}%` : '–';
+      return `
+        <tr>
+          <td>${escapeHTML(row.participantCode)}</td>
+          <td>${escapeHTML(new Date(row.startedAt).toLocaleString())}</td>
+          <td>${show(row.totalPoints)}</td>
+          <td>${show(row.game1Score)}</td>
+          <td>${show(row.game2Score)} (${show(row.game2Moves)})</td>
+          <td>${show(row.game3Score)} (${accuracy})</td>
+          <td>${row.pendingUpload ? 'Queued' : (row.completedAt ? 'Saved' : 'Incomplete')}</td>
+          <td>${row.game1Rounds ? `<button class="nav-btn" onclick="gameController.researcherDashboard.openReplay('${escapeHTML(row.sessionId)}')">Replay (${row.game1Rounds})</button>` : '–'}</td>
+        </tr>
+      `;
+    }).join('');
+
+    tableContainer.innerHTML = `
+      <table class="researcher-table">
+        <thead>
+          <tr>
+            <th scope="col">Code</th>
+            <th scope="col">Started</th>
+            <th scope="col">Total</th>
+            <th scope="col">Game 1</th>
+            <th scope="col">Game 2 (moves)</th>
+            <th scope="col">Game 3 (accuracy)</th>
+            <th scope="col">Status</th>
+            <th scope="col">Game 1 replay</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  openReplay(sessionId) {
+    this.controller.replaySession = this.sessions.find(session => session.sessionId === sessionId) || null;
+    this.controller.setGameFlowState('REPLAY_VIEWER');
+  }
+
+  // ===== ROSTER =====
+  renderRoster() {
+    const summary = document.getElementById('researcher-roster-summary');
+    const list = document.getElementById('researcher-roster-list');
+    if (!summary || !list) return;
+
+    const roster = this.controller.roster;
+    if (!roster.isActive()) {
+      summary.textContent = 'No roster loaded - any code in the right format can log in.';
+      list.innerHTML = '';
+      return;
+    }
+
+    const status = roster.getStatus(this.sessions);
+    const complete = status.filter(row => row.status === 'complete').length;
+    const started = status.filter(row => row.status === 'partial').length;
+    summary.textContent = `${status.length} codes (from ${roster.source}): ${complete} complete, ${started} started, ${status.length - complete - started} not started`;
+
+    const labels = { complete: 'Complete', partial: 'Started', not_started: 'Not started' };
+    const rows = status.map(row => `
+      <tr class="roster-${row.status}">
+        <td>${escapeHTML(row.code)}</td>
+        <td>${row.sessions}</td>
+        <td>${labels[row.status]}</td>
+      </tr>
+    `).join('');
+
+    list.innerHTML = `
+      <table class="researcher-table">
+        <thead>
+          <tr>
+            <th scope="col">Code</th>
+            <th scope="col">Sessions</th>
+            <th scope="col">Status</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  }
+
+  loadRosterFile(file) {
+    if (!file) return Promise.resolve();
+    const summary = document.getElementById('researcher-roster-summary');
+
+    return file.text().then(text => {
+      const codes = ParticipantRoster.parse(text, file.name);
+      if (codes.length === 0) throw new Error('No codes found in file');
+      this.controller.roster.saveToDevice(codes);
+      this.renderRoster();
+    }).catch(error => {
+      console.error('Could not read roster file:', error);
+      if (summary) summary.textContent = `Could not read roster file: ${error.message}`;
+    });
+  }
+
+  clearRoster() {
+    this.controller.rosterReady = this.controller.roster.clearFromDevice();
+    return this.controller.rosterReady.then(() => this.renderRoster());
+  }
+
+  getExportFilename(extension) {
+    const stamp = this.getLocalDate(new Date().toISOString());
+    return `glac-an-giomach-sessions-${stamp}.${extension}`;
+  }
+
+  exportCSV() {
+    const rows = this.getFilteredSessions().map(session => this.getSessionSummary(session));
+    const csv = buildCSV([
+      { header: 'session_id', value: row => row.sessionId },
+      { header: 'participant_code', value: row => row.participantCode },
+      { header: 'started_at', value: row => row.startedAt },
+      { header: 'completed_at', value: row => row.completedAt },
+      { header: 'flow', value: row => row.flow },
+      { header: 'condition', value: row => row.condition },
+      { header: 'total_points', value: row => row.totalPoints },
+      { header: 'game1_score', value: row => row.game1Score },
+      { header: 'game1_seconds', value: row => row.game1Seconds },
+      { header: 'game1_difficulty', value: row => row.game1Difficulty },
+      { header: 'game1_lobster_strategy', value: row => row.game1LobsterStrategy },
+      { header: 'game1_lobsters', value: row => row.game1Lobsters },
+      { header: 'game1_undos', value: row => row.game1Undos },
+      { header: 'game1_scoring', value: row => row.game1Scoring },
+      { header: 'game1_hints', value: row => row.game1Hints },
+      { header: 'game1_rounds', value: row => row.game1Rounds },
+      { header: 'game2_score', value: row => row.game2Score },
+      { header: 'game2_seconds', value: row => row.game2Seconds },
+      { header: 'game2_moves', value: row => row.game2Moves },
+      { header: 'game3_score', value: row => row.game3Score },
+      { header: 'game3_seconds', value: row => row.game3Seconds },
+      { header: 'game3_correct', value: row => row.game3Correct },
+      { header: 'game3_attempts', value: row => row.game3Attempts },
+      { header: 'game3_accuracy', value: row => row.game3Accuracy },
+      { header: 'seed', value: row => row.seed },
+      { header: 'debug', value: row => row.debug },
+      { header: 'pending_upload', value: row => row.pendingUpload }
+    ], rows);
+    downloadTextFile(this.getExportFilename('csv'), csv, 'text/csv');
+  }
+
+  // Full records, including the score ledger and event log
+  exportJSON() {
+    const json = JSON.stringify(this.getFilteredSessions(), null, 2);
+    downloadTextFile(this.getExportFilename('json'), json, 'application/json');
+  }
+
+  // Every event from the filtered sessions in one file
+  exportEvents(format) {
+    const events = [];
+    this.getFilteredSessions().forEach(session => {
+      (session.events || []).forEach(event => {
+        events.push(Object.assign({ sessionId: session.sessionId }, event));
+      });
+    });
+
+    const log = this.controller.eventLog;
+    if (format === 'csv') {
+      downloadTextFile(this.getExportFilename('events.csv'), log.toCSV(events), 'text/csv');
+    } else {
+      downloadTextFile(this.getExportFilename('events.jsonl'), log.toJSONL(events), 'application/x-ndjson');
+    }
+  }
+
+  exit() {
+    if (window.location.hash === '#researcher') {
+      // Drop the hash so a reload doesn't come straight back here
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+    this.controller.setGameFlowState('LOGIN');
+  }
+}
+
+// ==========================================================
+// BOARD EDITOR
+// ==========================================================
+// Screen for teachers to make their own Game 1 puzzles (opened from the
+// researcher screen, or with #editor in the URL). Set the grid size, place
+// rocks and the lobster, see straight away whether the board can be won,
+// try it out, then share it as a board code, a ?board= link or a JSON file
+// (see GAME 1 BOARD LAYOUTS). The board is a practice board, so trying it
+// out never scores
+// ==========================================================
+class BoardEditor {
+  constructor(controller) {
+    this.controller = controller;
+    this.board = null;  // Game1Board being edited
+    const difficulty = GAME1_DIFFICULTIES[getGame1DifficultyName()];
+    this.startLayout = createEmptyBoardLayout(difficulty.gridWidth, difficulty.gridHeight);
+  }
+
+  render() {
+    const { minSize, maxSize } = BOARD_LAYOUT_LIMITS;
+    const html = `
+      <div class="researcher-screen board-editor-screen" role="main" aria-label="Board editor">
+        <h1>Deasaiche nam bòrd</h1>
+        <div class="researcher-filters">
+          <label>Width
+            <input type="number" id="board-editor-width" min="${minSize}" max="${maxSize}" />
+          </label>
+          <label>Height
+            <input type="number" id="board-editor-height" min="${minSize}" max="${maxSize}" />
+          </label>
+        </div>
+        <div class="researcher-actions">
+          <button class="nav-btn" onclick="gameController.boardEditor.newBoard()">New empty board</button>
+          <button class="nav-btn researcher-exit-btn" onclick="gameController.boardEditor.exit()">Dùin</button>
+        </div>
+
+        <div class="researcher-actions practice-tools" role="group" aria-label="Tools">
+          <button class="nav-btn practice-tool" data-tool="rocks" aria-pressed="true" onclick="gameController.boardEditor.setTool('rocks')">Rocks</button>
+          <button class="nav-btn practice-tool" data-tool="lobster" aria-pressed="false" onclick="gameController.boardEditor.setTool('lobster')">Lobster</button>
+          <button class="nav-btn practice-tool" data-tool="play" aria-pressed="false" onclick="gameController.boardEditor.setTool('play')">Try it</button>
+          <button class="nav-btn" id="undo-button" onclick="gameController.undoGame1Move()" aria-label="Undo (Ctrl+Z)" disabled>Undo</button>
+          ${this.controller.getEscapePathToggleHTML()}
+          <button class="nav-btn" id="board-editor-check" onclick="gameController.boardEditor.checkWinnable()">Check board</button>
+        </div>
+
+        <div class="game1-board board-editor-board" id="game1-board" role="application" aria-label="Board being edited" aria-describedby="game1-keys-help"></div>
+        <span id="game1-keys-help" class="visually-hidden">Arrow keys move around the board, Enter or Space uses the tool.</span>
+        <div id="game1-announcer" class="visually-hidden" aria-live="polite"></div>
+        <div id="board-editor-status" class="board-editor-status" role="status" aria-live="polite"></div>
+
+        <section class="board-editor-share" aria-labelledby="board-editor-share-title">
+          <h2 id="board-editor-share-title">Share</h2>
+          <div class="researcher-filters">
+            <label>Board code
+              <input type="text" id="board-editor-code" readonly />
+            </label>
+            <label>Link
+              <input type="text" id="board-editor-link" readonly />
+            </label>
+          </div>
+          <div class="researcher-actions">
+            <a class="nav-btn" id="board-editor-play" target="_blank" rel="noopener">Play this board</a>
+            <button class="nav-btn" onclick="gameController.boardEditor.downloadJSON()">Download JSON</button>
+          </div>
+          <div class="researcher-filters">
+            <label>Load a board code or JSON
+              <textarea id="board-editor-import" rows="3"></textarea>
+            </label>
+          </div>
+          <div class="researcher-actions">
+            <button class="nav-btn" onclick="gameController.boardEditor.loadText(document.getElementById('board-editor-import').value)">Load</button>
+            <label class="nav-btn researcher-file-btn">Load JSON file
+              <input type="file" id="board-editor-file" accept=".json,application/json" />
+            </label>
+          </div>
+          <p id="board-editor-load-error" class="board-editor-invalid" role="alert"></p>
+        </section>
+      </div>
+    `;
+    this.controller.gameContainer.innerHTML = html;
+
+    const fileInput = document.getElementById('board-editor-file');
+    if (fileInput) {
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        if (file) file.text().then(text => this.loadText(text));
+      });
+    }
+
+    this.createBoard(this.startLayout);
+  }
+
+  createBoard(layout) {
+    this.startLayout = layout;
+    document.getElementById('board-editor-width').value = layout.width;
+    document.getElementById('board-editor-height').value = layout.height;
+
+    this.board = new Game1Board(5, this.controller, getGame1DifficultyName(), layout, 'game1-editor');
+    this.board.practice = true;
+    this.board.pathOverlay = true;
+    this.board.undoLimit = Infinity;
+    this.board.hintLimit = 0;
+    this.board.onEdit = () => this.update();
+    this.board.setPracticeTool('rocks');
+    this.board.render();
+    this.board.updateActionButtons();
+    this.update();
+  }
+
+  newBoard() {
+    const size = id => {
+      const value = parseInt(document.getElementById(id).value, 10);
+      return Math.min(BOARD_LAYOUT_LIMITS.maxSize, Math.max(BOARD_LAYOUT_LIMITS.minSize, value || BOARD_LAYOUT_LIMITS.minSize));
+    };
+    this.createBoard(createEmptyBoardLayout(size('board-editor-width'), size('board-editor-height')));
+  }
+
+  // Going back to editing after trying the board puts it back as it was
+  setTool(tool) {
+    if (tool !== 'play' && this.board.practiceTool === 'play') {
+      this.board.reset();
+      this.board.render();
+    }
+    this.board.setPracticeTool(tool);
+  }
+
+  // Re-checks the board after every edit and refreshes the share fields.
+  // The board's own layout follows the edits so trying it out (and
+  // resetting after) always uses the latest version. Whether it can be won
+  // is only worked out on "Check board" - the solver is too slow to run on
+  // every click
+  update() {
+    const layout = this.board.getBoardLayout();
+    this.board.fixedLayout = layout;
+    const check = checkBoardLayout(layout);
+    const code = encodeBoardLayout(layout);
+    const link = `${window.location.origin}${window.location.pathname}?board=${code}`;
+
+    if (check.errors.length > 0) {
+      this.showStatus(`<ul>${check.errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>`, false);
+    } else {
+      this.showStatus(`The lobster is ${check.escapeSteps} moves from the edge. Press "Check board" to see if it can be trapped.`, true);
+    }
+    const checkButton = document.getElementById('board-editor-check');
+    if (checkButton) checkButton.disabled = check.errors.length > 0;
+
+    document.getElementById('board-editor-code').value = code;
+    document.getElementById('board-editor-link').value = link;
+    document.getElementById('board-editor-play').href = link;
+    return { errors: check.errors, escapeSteps: check.escapeSteps };
+  }
+
+  // Runs the solver on the board as it is now
+  checkWinnable() {
+    const layout = this.board.getBoardLayout();
+    const check = checkBoardLayout(layout);
+    if (check.errors.length > 0) return this.update();
+
+    const solution = findLayoutSolution(layout, this.board.lobsterStrategy);
+    if (solution) {
+      this.showStatus(`Winnable - the lobster is ${check.escapeSteps} moves from the edge and can be trapped with ${solution.length} rocks (for example ${solution.map(square => square.hash()).join(' → ')}).`, true);
+    } else {
+      this.showStatus(`The lobster is ${check.escapeSteps} moves from the edge, but no way to trap it was found - it may not be winnable.`, false);
+    }
+    return { errors: check.errors, escapeSteps: check.escapeSteps, solution };
+  }
+
+  showStatus(html, ok) {
+    const status = document.getElementById('board-editor-status');
+    if (!status) return;
+    status.innerHTML = html;
+    status.classList.toggle('board-editor-invalid', !ok);
+  }
+
+  // Accepts a board code or JSON. Squares off the board, rocks under a
+  // lobster and extra lobsters are dropped so a slightly broken board can
+  // still be opened and fixed
+  loadText(text) {
+    const error = document.getElementById('board-editor-load-error');
+    try {
+      const layout = decodeBoardLayout(text);
+      const onBoard = square => square.x >= 0 && square.y >= 0 && square.x < layout.width && square.y < layout.height;
+      layout.lobsters = layout.lobsters.filter(onBoard).slice(0, BOARD_LAYOUT_LIMITS.maxLobsters);
+      if (layout.lobsters.length === 0) layout.lobsters = createEmptyBoardLayout(layout.width, layout.height).lobsters;
+      const lobsterKeys = new Set(layout.lobsters.map(square => square.hash()));
+      layout.rocks = layout.rocks.filter(square => onBoard(square) && !lobsterKeys.has(square.hash()));
+
+      if (error) error.textContent = '';
+      this.controller.logEvent('board_layout_loaded', { layout: encodeBoardLayout(layout) });
+      this.createBoard(layout);
+    } catch (loadError) {
+      console.error('Could not load board:', loadError);
+      if (error) error.textContent = `Could not load board: ${loadError.message}`;
+    }
+  }
+
+  downloadJSON() {
+    const layout = this.board.getBoardLayout();
+    downloadTextFile(`glac-an-giomach-board-${encodeBoardLayout(layout)}.json`, boardLayoutToJSON(layout), 'application/json');
+  }
+
+  exit() {
+    if (window.location.hash === '#editor') {
+      history.replaceState(null, '', window.location.pathname + window.location.search);
+    }
+    this.controller.setGameFlowState('RESEARCHER');
+  }
+}
+
+// ==========================================================
+// GAME 1 REPLAY VIEWER
+// ==========================================================
+// Researcher-only screen (from the session table) that plays back a
+// pupil's Game 1 rounds from the recording Game1Board keeps (see
+// startReplay): play/pause, step, scrub through the moves, and export the
+// recordings. For "the lobster cheated" - the board is rebuilt from the
+// recording, so what's shown is exactly what the pupil saw
+// ==========================================================
+class Game1ReplayViewer {
+  constructor(controller, session) {
+    this.controller = controller;
+    this.session = session;
+    this.replays = (session.games && session.games.game1 && session.games.game1.replays) || [];
+    this.roundIndex = 0;
+    this.frame = 0;        // Moves applied so far (0 = the board as the round started)
+    this.board = null;
+    this.playTimer = null;
+    this.stepDelay = 700;  // ms between moves when playing
+  }
+
+  render() {
+    const options = this.replays.map((replay, index) =>
+      `<option value="${index}">Round ${replay.round} - ${replay.result} (${replay.moves.length} moves)</option>`).join('');
+
+    const html = `
+      <div class="researcher-screen replay-viewer-screen" role="main" aria-label="Game 1 replay">
+        <h1>Ath-chluich: ${escapeHTML(this.session.participantCode)}</h1>
+        <div class="researcher-actions">
+          <label>Round
+            <select id="replay-round">${options}</select>
+          </label>
+          <button class="nav-btn" onclick="gameController.replayViewer.exportJSON()">Export JSON</button>
+          <button class="nav-btn" onclick="gameController.replayViewer.exportCSV()">Export CSV</button>
+          <button class="nav-btn researcher-exit-btn" onclick="gameController.replayViewer.exit()">Dùin</button>
+        </div>
+        <div class="game1-board board-editor-board" id="game1-board" role="img" aria-label="Replay board"></div>
+        <div class="researcher-actions replay-controls">
+          <button class="nav-btn" onclick="gameController.replayViewer.step(-1)" aria-label="Previous move">⏮</button>
+          <button class="nav-btn" id="replay-play" onclick="gameController.replayViewer.togglePlay()">Play</button>
+          <button class="nav-btn" onclick="gameController.replayViewer.step(1)" aria-label="Next move">⏭</button>
+          <input type="range" id="replay-scrub" min="0" value="0" aria-label="Move" />
+        </div>
+        <p id="replay-move" role="status" aria-live="polite"></p>
+      </div>
+    `;
+    this.controller.gameContainer.innerHTML = html;
+
+    if (this.replays.length === 0) {
+      document.getElementById('replay-move').textContent = 'No Game 1 rounds were recorded for this session.';
+      return;
+    }
+
+    document.getElementById('replay-round').addEventListener('change', (e) => this.showRound(parseInt(e.target.value, 10)));
+    document.getElementById('replay-scrub').addEventListener('input', (e) => {
+      this.pause();
+      this.showFrame(parseInt(e.target.value, 10));
+    });
+    this.showRound(0);
+  }
+
+  getReplay() {
+    return this.replays[this.roundIndex];
+  }
+
+  showRound(index) {
+    this.pause();
+    this.roundIndex = index;
+    const replay = this.getReplay();
+    const toSquare = hash => {
+      const [x, y] = hash.split(',').map(Number);
+      return new HexGridSquare(x, y);
+    };
+    const layout = {
+      width: replay.width,
+      height: replay.height,
+      lobsters: replay.lobsters.map(toSquare),
+      rocks: replay.rocks.map(toSquare)
+    };
+
+    this.board = new Game1Board(5, this.controller, GAME1_DIFFICULTIES[replay.difficulty] ? replay.difficulty : 'medium', layout, 'game1-replay');
+    this.board.practice = true;
+    this.board.readOnly = true;
+    this.board.hintLimit = 0;
+    this.board.undoLimit = 0;
+
+    document.getElementById('replay-scrub').max = replay.moves.length;
+    this.showFrame(0);
+  }
+
+  // The board after the first `frame` moves, worked out from the start
+  // each time so stepping back and scrubbing are always exact
+  getFrameState(replay, frame) {
+    const toSquare = hash => {
+      const [x, y] = hash.split(',').map(Number);
+      return new HexGridSquare(x, y);
+    };
+    const rocks = new Set(replay.rocks);
+    const lobsters = replay.lobsters.map(hash => new LobsterToken(toSquare(hash)));
+    let hintKey = null;
+
+    replay.moves.slice(0, frame).forEach(move => {
+      hintKey = null;
+      if (move.type === 'rock') {
+        rocks.add(move.tile);
+      } else if (move.type === 'lobster') {
+        const lobster = lobsters[move.lobster];
+        const to = toSquare(move.to);
+        lobster.rotation = lobster.getRotationForDirection(to);
+        lobster.position = to;
+      } else if (move.type === 'undo') {
+        if (move.rock) rocks.delete(move.rock);
+        move.lobsters.forEach((hash, index) => {
+          lobsters[index].position = toSquare(hash);
+          lobsters[index].status = 'free';
+        });
+      } else if (move.type === 'hint') {
+        hintKey = move.tile;
+      } else if (move.type === 'caught') {
+        lobsters[move.lobster].status = 'caught';
+      } else if (move.type === 'escaped') {
+        lobsters[move.lobster].status = 'escaped';
+      }
+    });
+    return { rocks, lobsters, hintKey };
+  }
+
+  describeMove(move) {
+    const seconds = `${(move.t / 1000).toFixed(1)}s`;
+    const descriptions = {
+      rock: () => `rock placed at ${move.tile}`,
+      lobster: () => `lobster ${move.lobster + 1} jumped ${move.from} → ${move.to}`,
+      undo: () => `undo (rock at ${move.rock} taken back)`,
+      hint: () => `hint shown at ${move.tile}`,
+      caught: () => `lobster ${move.lobster + 1} caught`,
+      escaped: () => `lobster ${move.lobster + 1} escaped`
+    };
+    return `${seconds}: ${descriptions[move.type] ? descriptions[move.type]() : move.type}`;
+  }
+
+  showFrame(frame) {
+    const replay = this.getReplay();
+    this.frame = Math.max(0, Math.min(replay.moves.length, frame));
+
+    const state = this.getFrameState(replay, this.frame);
+    this.board.blockedSet = state.rocks;
+    this.board.lobsters = state.lobsters;
+    this.board.hintKey = state.hintKey;
+    this.board.render();
+
+    document.getElementById('replay-scrub').value = this.frame;
+    document.getElementById('replay-move').textContent = this.frame === 0
+      ? `Start of round ${replay.round}: ${replay.rocks.length} rocks, ${replay.strategy} lobster`
+      : `Move ${this.frame} of ${replay.moves.length} - ${this.describeMove(replay.moves[this.frame - 1])}`;
+  }
+
+  step(direction) {
+    this.pause();
+    this.showFrame(this.frame + direction);
+  }
+
+  togglePlay() {
+    if (this.playTimer) {
+      this.pause();
+      return;
+    }
+    // Playing from the end starts the round again
+    if (this.frame >= this.getReplay().moves.length) this.showFrame(0);
+    document.getElementById('replay-play').textContent = 'Pause';
+    this.playTimer = setInterval(() => {
+      // Stop if the screen was left some other way (e.g. the URL hash)
+      if (!document.getElementById('replay-scrub') || this.frame >= this.getReplay().moves.length) {
+        this.pause();
+        return;
+      }
+      this.showFrame(this.frame + 1);
+    }, this.stepDelay);
+  }
+
+  pause() {
+    if (this.playTimer) clearInterval(this.playTimer);
+    this.playTimer = null;
+    const button = document.getElementById('replay-play');
+    if (button) button.textContent = 'Play';
+  }
+
+  getExportFilename(extension) {
+    return `glac-an-giomach-replays-${this.session.sessionId}.${extension}`;
+  }
+
+  exportJSON() {
+    const json = JSON.stringify({ sessionId: this.session.sessionId, participantCode: this.session.participantCode, replays: this.replays }, null, 2);
+    downloadTextFile(this.getExportFilename('json'), json, 'application/json');
+  }
+
+  // One row per move, with the round's starting board on each round's first row
+  exportCSV() {
+    const rows = [];
+    this.replays.forEach(replay => {
+      rows.push({ replay, move: { t: 0, type: 'start' }, index: 0 });
+      replay.moves.forEach((move, index) => rows.push({ replay, move, index: index + 1 }));
+    });
+    const csv = buildCSV([
+      { header: 'session_id', value: () => this.session.sessionId },
+      { header: 'participant_code', value: () => this.session.participantCode },
+      { header: 'round', value: row => row.replay.round },
+      { header: 'result', value: row => row.replay.result },
+      { header: 'move', value: row => row.index },
+      { header: 'ms', value: row => row.move.t },
+      { header: 'type', value: row => row.move.type },
+      { header: 'tile', value: row => row.move.tile || row.move.rock || null },
+      { header: 'lobster', value: row => (typeof row.move.lobster === 'number' ? row.move.lobster : null) },
+      { header: 'from', value: row => row.move.from || null },
+      { header: 'to', value: row => row.move.to || (row.move.lobsters ? row.move.lobsters.join(' ') : null) },
+      { header: 'start_lobsters', value: row => (row.index === 0 ? row.replay.lobsters.join(' ') : null) },
+      { header: 'start_rocks', value: row => (row.index === 0 ? row.replay.rocks.join(' ') : null) }
+    ], rows);
+    downloadTextFile(this.getExportFilename('csv'), csv, 'text/csv');
+  }
+
+  exit() {
+    this.pause();
+    this.controller.setGameFlowState('RESEARCHER');
+  }
+}
+
+// ==========================================================
+// DEBUG OVERLAY
+// ==========================================================
+// Dev tools for testing the games without playing through everything.
+// Turned on with ?debug=1 or Ctrl+Alt+Shift+D - nothing is created in a
+// normal pupil session. Lets you jump to any state, set the time left,
+// move the lobster, force Ruairidh's fish order and watch internal state
+// ==========================================================
+class DebugOverlay {
+  constructor(controller) {
+    this.controller = controller;
+    this.element = null;
+    this.refreshTimer = null;
+  }
+
+  open() {
+    if (!this.element) this.createPanel();
+    this.element.hidden = false;
+    this.refresh();
+    if (!this.refreshTimer) {
+      this.refreshTimer = setInterval(() => this.refresh(), 500);
+    }
+  }
+
+  close() {
+    if (this.element) this.element.hidden = true;
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  toggle() {
+    if (this.element && !this.element.hidden) this.close();
+    else this.open();
+  }
+
+  createPanel() {
+    const states = Object.keys(FLOW_STATES)
+      .map(state => `<option value="${state}">${state}</option>`)
+      .join('');
+    const fishManifest = Game3FishingGame.prototype.getFishManifest();
+    const fish = Object.keys(fishManifest)
+      .filter(id => fishManifest[id].isValid)
+      .map(id => `<option value="${id}">${id} (${fishManifest[id].zone})</option>`)
+      .join('');
+
+    this.element = document.createElement('div');
+    this.element.className = 'debug-overlay';
+    this.element.setAttribute('role', 'dialog');
+    this.element.setAttribute('aria-label', 'Debug tools');
+    this.element.innerHTML = `
+      <div class="debug-header">
+        <strong>DEBUG</strong>
+        <button onclick="gameController.debugOverlay.close()" aria-label="Close debug tools">✕</button>
+      </div>
+      <div class="debug-row">
+        <select id="debug-state">${states}</select>
+        <button onclick="gameController.debugOverlay.jumpToState(document.getElementById('debug-state').value)">Go</button>
+        <button onclick="gameController.debugOverlay.skipAhead()">Next →</button>
+      </div>
+      <div class="debug-row">
+        <label>Time left (s) <input type="number" id="debug-time" min="0" value="10" /></label>
+        <button onclick="gameController.debugOverlay.setTimeRemaining(document.getElementById('debug-time').value)">Set</button>
+      </div>
+      <div class="debug-row">
+        <label>Lobster x <input type="number" id="debug-lobster-x" min="0" value="5" /></label>
+        <label>y <input type="number" id="debug-lobster-y" min="0" value="5" /></label>
+        <button onclick="gameController.debugOverlay.moveLobster(document.getElementById('debug-lobster-x').value, document.getElementById('debug-lobster-y').value)">Move</button>
+      </div>
+      <div class="debug-row">
+        <select id="debug-fish">${fish}</select>
+        <button onclick="gameController.debugOverlay.forceFishOrder(document.getElementById('debug-fish').value)">Order</button>
+      </div>
+      <pre class="debug-state" id="debug-live-state" aria-live="off"></pre>
+    `;
+    document.body.appendChild(this.element);
+  }
+
+  // Jumping straight into a game needs a session to record against
+  ensureSession() {
+    if (this.controller.sessionRecord) return;
+    this.controller.participantCode = 'DEBUG';
+    this.controller.sessionRecord = this.controller.createSessionRecord('DEBUG');
+    this.controller.sessionRecord.debug = true;
+  }
+
+  jumpToState(state) {
+    if (!FLOW_STATES[state]) return;
+    this.ensureSession();
+    this.controller.stopActiveGames();
+    this.controller.logEvent('debug_jump', { from: this.controller.currentState, to: state });
+    this.controller.setGameFlowState(state);
+  }
+
+  // Same as the game ending normally - moves to whatever the flow says is next
+  skipAhead() {
+    this.ensureSession();
+    this.controller.stopActiveGames();
+    this.controller.advanceFlow();
+  }
+
+  setTimeRemaining(value) {
+    const seconds = Math.max(0, parseInt(value, 10) || 0);
+    const controller = this.controller;
+    if (controller.currentState === 'GAME3' && controller.game3Board) {
+      controller.game3Board.timeRemaining = seconds;
+    }
+    controller.timeRemaining = seconds;
+    controller.updateGame1TimerDisplay();
+  }
+
+  moveLobster(x, y) {
+    const board = this.controller.game1Board;
+    if (this.controller.currentState !== 'GAME1' || !board) return;
+
+    const square = new HexGridSquare(parseInt(x, 10), parseInt(y, 10));
+    if (!board.boardSquares.has(square.hash())) {
+      console.warn(`Debug: ${square.hash()} is off the board`);
+      return;
+    }
+    board.blockedSet.delete(square.hash());
+    board.lobster.position = square;
+    board.render();
+  }
+
+  forceFishOrder(fishId) {
+    const board = this.controller.game3Board;
+    if (this.controller.currentState !== 'GAME3' || !board) return;
+    board.generateNewOrder(fishId);
+  }
+
+  refresh() {
+    const output = document.getElementById('debug-live-state');
+    if (!output) return;
+
+    const controller = this.controller;
+    const info = {
+      state: controller.currentState,
+      flow: controller.flow.name,
+      participant: controller.participantCode,
+      points: controller.totalPoints,
+      timeRemaining: controller.timeRemaining
+    };
+
+    if (controller.currentState === 'GAME1' && controller.game1Board) {
+      const board = controller.game1Board;
+      info.lobster = board.lobster.position.hash();
+      if (board.lobsters.length > 1) {
+        info.lobsters = board.lobsters.map(lobster => `${lobster.position.hash()} (${lobster.status})`).join(', ');
+      }
+      info.rocks = board.blockedSet.size;
+      info.escapePath = (board.lobster.findShortestEscapePath(board.blockedSet, board.boardSquares, board.gridWidth, board.gridHeight) || [])
+        .map(square => square.hash()).join(' ');
+    } else if (controller.currentState === 'GAME2' && controller.game2Board) {
+      info.moves = controller.game2Board.moves;
+      info.matched = Array.from(controller.game2Board.matched).join(',');
+      info.layout = controller.game2Board.cards.map(card => card.name).join(',');
+    } else if (controller.currentState === 'GAME3' && controller.game3Board) {
+      const board = controller.game3Board;
+      info.zone = board.currentDepth;
+      info.elapsed = board.elapsedTime;
+      info.order = board.currentOrder && board.currentOrder.target;
+      info.fishOnScreen = board.activeFish.length;
+      info.accuracy = `${board.correctCatches}/${board.totalAttempts}`;
+    }
+
+    output.textContent = Object.keys(info).map(key => `${key}: ${info[key]}`).join('\n');
+  }
+}
+
+// ==========================================================
+// BOOTSTRAP / RESIZE HOOKS
+// ==========================================================
+let gameController;
+document.addEventListener('DOMContentLoaded', () => {
+  gameController = new GameFlowController();
+  // #researcher opens the hidden data screen instead of the pupil login,
+  // #editor the Game 1 board editor
+  const hashStates = { '#researcher': 'RESEARCHER', '#editor': 'BOARD_EDITOR' };
+  gameController.setGameFlowState(hashStates[window.location.hash] || 'LOGIN');
+
+  if (['1', 'true'].includes(String(getConfigOption('debug')))) {
+    gameController.enableDebugMode();
+  }
+});
+
+// Debug overlay key combo - three modifiers so a pupil can't hit it by accident
+document.addEventListener('keydown', (e) => {
+  if (gameController && e.ctrlKey && e.altKey && e.shiftKey && (e.key === 'D' || e.key === 'd' || e.code === 'KeyD')) {
+    e.preventDefault();
+    if (gameController.debugOverlay) {
+      gameController.debugOverlay.toggle();
+    } else {
+      gameController.enableDebugMode();
+    }
+  }
+});
+
+// Ctrl+Z (Cmd+Z on Macs and iPads with keyboards) takes back the last rock in Game 1 and practice
+document.addEventListener('keydown', (e) => {
+  if (gameController && (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && (e.key === 'z' || e.key === 'Z')) {
+    if (!gameController.getActiveGame1Board()) return;
+    e.preventDefault();
+    gameController.undoGame1Move();
+  }
+});
+
+// Last chance to checkpoint before the tablet sleeps or the page goes away
+document.addEventListener('visibilitychange', () => {
+  if (gameController && document.visibilityState === 'hidden') {
+    gameController.saveCheckpoint();
+  }
+});
+window.addEventListener('pagehide', () => {
+  if (gameController) gameController.saveCheckpoint();
+});
+
+window.addEventListener('hashchange', () => {
+  if (gameController && window.location.hash === '#researcher') {
+    gameController.setGameFlowState('RESEARCHER');
+  } else if (gameController && window.location.hash === '#editor') {
+    gameController.setGameFlowState('BOARD_EDITOR');
+  }
+});
+
+window.addEventListener('resize', () => {
+  const board = gameController && gameController.getActiveGame1Board();
+  if (board) board.layout();
 });